@@ -16,33 +16,39 @@
 function isInstagramDMPage() {
   const currentPath = window.location.pathname;
   const isDMPage = currentPath.includes('/direct/');
-  console.log('[IG Reel Tracker] Page check:', currentPath, 'isDM:', isDMPage);
+  log.detection.trace('Page check:', currentPath, 'isDM:', isDMPage);
   return isDMPage;
 }
 
+// Selector registry in effect, defaults until storage has been read
+let selectorRegistry = buildSelectorRegistry(null);
+
+/**
+ * Get the selectors to try for a group from the registry
+ * @param {string} group - A SELECTOR_GROUPS value
+ * @returns {Array} Selectors in the order to try them
+ */
+function getSelectors(group) {
+  return getEffectiveSelectors(selectorRegistry, group);
+}
+
+/**
+ * Load the selector registry from storage
+ * @returns {Promise<Object>} Selector registry in effect
+ */
+async function loadSelectorRegistry() {
+  selectorRegistry = await getSelectorRegistry();
+  return selectorRegistry;
+}
+
 /**
  * Find the messages container where DM messages appear
  * @returns {Element|null} The messages container or null if not found
  */
 function findMessagesContainer() {
-  console.log('[IG Reel Tracker] Finding messages container...');
-  
-  const containerSelectors = [
-    // Instagram's primary message container patterns
-    'div[role="grid"]', // Most common for message lists
-    'section div[role="grid"]',
-    '[data-testid="conversation-viewer"]',
-    '[role="main"] div[role="grid"]',
-    
-    // Scrollable message containers
-    'div[style*="overflow"] div[role="row"]:first-child',
-    'div[style*="scroll"] div[role="row"]:first-child',
-    
-    // Fallback selectors
-    'div[role="row"]:first-child',
-    '.conversation-viewer',
-    '[class*="message"][class*="container"]'
-  ];
+  log.detection.debug('Finding messages container...');
+  
+  const containerSelectors = getSelectors(SELECTOR_GROUPS.MESSAGES_CONTAINER);
   
   for (const selector of containerSelectors) {
     try {
@@ -51,18 +57,18 @@ function findMessagesContainer() {
         // Verify it contains actual messages by checking for multiple rows
         const messageRows = container.querySelectorAll('[role="row"], div[style*="flex"]');
         if (messageRows.length >= 1) {
-          console.log(`[IG Reel Tracker] Found messages container using selector: ${selector}`);
-          console.log(`[IG Reel Tracker] Container contains ${messageRows.length} potential message elements`);
+          log.detection.debug(`Found messages container using selector: ${selector}`);
+          log.detection.debug(`Container contains ${messageRows.length} potential message elements`);
           return container.closest('div[role="grid"]') || container;
         }
       }
     } catch (error) {
-      console.warn(`[IG Reel Tracker] Selector failed: ${selector}`, error);
+      log.detection.warn(`Selector failed: ${selector}`, error);
       continue;
     }
   }
   
-  console.warn('[IG Reel Tracker] Could not find messages container');
+  log.detection.warn('Could not find messages container');
   return null;
 }
 
@@ -71,36 +77,17 @@ function findMessagesContainer() {
  * @returns {Array} Array of detected reel elements
  */
 function detectReelsInConversation() {
-  console.log('[IG Reel Tracker] Scanning for reels within messages container...');
+  log.detection.debug('Scanning for reels within messages container...');
   
   // First find the messages container
   const messagesContainer = findMessagesContainer();
   if (!messagesContainer) {
-    console.log('[IG Reel Tracker] No messages container found, cannot detect reels');
+    log.detection.debug('No messages container found, cannot detect reels');
     return [];
   }
   
-  // Updated selectors that target actual reel messages, not UI elements
-  const reelSelectors = [
-    // Links to reels within messages
-    'a[href*="/reel/"]',
-    'a[href*="/reels/"]', 
-    'a[href*="instagram.com/reel"]',
-    
-    // Video elements within message bubbles
-    'div[role="row"] video',
-    'div[role="button"]:has(video)',
-    '[role="button"] video',
-    
-    // Message containers with video content
-    'div[style*="aspect-ratio"] video',
-    'div[class*="video"] a[href*="reel"]',
-    
-    // Instagram-specific video patterns within messages
-    'video[src*="instagram"]',
-    'video[src*="cdninstagram"]',
-    'img[src*="reel"]'
-  ];
+  // Selectors that target actual reel messages, not UI elements
+  const reelSelectors = getSelectors(SELECTOR_GROUPS.REELS);
   
   let foundReels = [];
   let workingSelector = null;
@@ -118,18 +105,28 @@ function detectReelsInConversation() {
         if (validElements.length > 0) {
           foundReels = validElements;
           workingSelector = selector;
-          console.log(`[IG Reel Tracker] Found ${foundReels.length} potential reels using selector: ${selector}`);
+          log.detection.debug(`Found ${foundReels.length} potential reels using selector: ${selector}`);
           break;
         }
       }
     } catch (selectorError) {
-      console.warn(`[IG Reel Tracker] Selector failed: ${selector}`, selectorError);
+      log.detection.warn(`Selector failed: ${selector}`, selectorError);
       continue;
     }
   }
   
+  // The registry may have drifted from Instagram's markup; try a discovered selector
+  if (foundReels.length === 0) {
+    const fallbackSelector = healReelDetection(messagesContainer);
+    if (fallbackSelector) {
+      foundReels = Array.from(messagesContainer.querySelectorAll(fallbackSelector))
+        .filter(element => !element.closest('nav, header, aside, [role="navigation"]'));
+      log.detection.debug(`Found ${foundReels.length} potential reels using fallback selector: ${fallbackSelector}`);
+    }
+  }
+  
   if (foundReels.length === 0) {
-    console.log('[IG Reel Tracker] No reel elements found with any strategy');
+    log.detection.debug('No reel elements found with any strategy');
   }
   
   return foundReels;
@@ -143,45 +140,45 @@ function detectReelsInConversation() {
 function validateReelElement(element) {
   try {
     if (!element || !element.getBoundingClientRect) {
-      console.log('[IG Reel Tracker] Element validation failed: invalid element');
+      log.detection.trace('Element validation failed: invalid element');
       return false;
     }
     
     // Check if element is visible and reasonably sized
     const rect = element.getBoundingClientRect();
     if (rect.width < 50 || rect.height < 50) {
-      console.log('[IG Reel Tracker] Element validation failed: too small', rect.width, 'x', rect.height);
+      log.detection.trace('Element validation failed: too small', rect.width, 'x', rect.height);
       return false;
     }
     
     // Verify it's not in navigation/header/sidebar
     if (element.closest('nav, header, aside, [role="navigation"], [role="banner"]')) {
-      console.log('[IG Reel Tracker] Element validation failed: in navigation/header area');
+      log.detection.trace('Element validation failed: in navigation/header area');
       return false;
     }
     
     // Verify it's within the messages container
     const messagesContainer = findMessagesContainer();
     if (messagesContainer && !messagesContainer.contains(element)) {
-      console.log('[IG Reel Tracker] Element validation failed: not within messages container');
+      log.detection.trace('Element validation failed: not within messages container');
       return false;
     }
     
-    console.log('[IG Reel Tracker] Element validation passed');
+    log.detection.trace('Element validation passed');
     return true;
     
   } catch (error) {
-    console.error('[IG Reel Tracker] Error validating reel element:', error);
+    log.detection.error('Error validating reel element:', error);
     return false;
   }
 }
 
 /**
- * Extract reel messages from the current conversation
- * @returns {Array} Array of reel message objects
+ * Track every reel rendered in the current conversation
+ * @returns {Array} Tracked reel entries for the rendered reels
  */
 function extractReelMessages() {
-  console.log('[IG Reel Tracker] Starting reel message extraction...');
+  log.detection.debug('Starting reel message extraction...');
   
   const reelMessages = [];
   const processedElements = new Set(); // Track processed elements to avoid duplicates
@@ -191,67 +188,107 @@ function extractReelMessages() {
     const reelElements = detectReelsInConversation();
     
     if (reelElements.length === 0) {
-      console.log('[IG Reel Tracker] No reel elements found with any strategy');
+      log.detection.debug('No reel elements found with any strategy');
       return reelMessages;
     }
     
-    console.log(`[IG Reel Tracker] Total reel elements found: ${reelElements.length}`);
+    log.detection.debug(`Total reel elements found: ${reelElements.length}`);
     
     // Process each reel element with validation
     reelElements.forEach((reelElement, index) => {
       try {
-        console.log(`[IG Reel Tracker] Processing reel element ${index + 1}/${reelElements.length}:`, reelElement.tagName);
+        log.detection.trace(`Processing reel element ${index + 1}/${reelElements.length}:`, reelElement.tagName);
         
         // Validate element before processing
         if (!validateReelElement(reelElement)) {
-          console.log(`[IG Reel Tracker] Skipping invalid reel element ${index + 1}`);
+          log.detection.trace(`Skipping invalid reel element ${index + 1}`);
           return;
         }
         
         // Check for duplicates
         const elementKey = reelElement.outerHTML || reelElement.href || `element_${index}`;
         if (processedElements.has(elementKey)) {
-          console.log(`[IG Reel Tracker] Skipping duplicate reel element ${index + 1}`);
+          log.detection.trace(`Skipping duplicate reel element ${index + 1}`);
           return;
         }
         processedElements.add(elementKey);
         
-        const reelData = extractReelData(reelElement);
+        const reelData = processReelElement(reelElement, null, 'DOM_SCAN');
         if (reelData) {
           reelMessages.push(reelData);
-          console.log(`[IG Reel Tracker] Successfully extracted reel: {id: "${reelData.id}", hasReaction: ${reelData.hasReaction}}`);
+          log.detection.debug(`Successfully extracted reel: {id: "${reelData.reelId}", hasReaction: ${reelData.hasReaction}}`);
         }
       } catch (error) {
-        console.error(`[IG Reel Tracker] Error processing reel element ${index + 1}:`, error);
+        log.detection.error(`Error processing reel element ${index + 1}:`, error);
       }
     });
     
-    console.log(`[IG Reel Tracker] Reel extraction complete. Found ${reelMessages.length} valid reel messages`);
+    log.detection.info(`Reel extraction complete. Found ${reelMessages.length} valid reel messages`);
     
   } catch (error) {
-    console.error('[IG Reel Tracker] Error during reel extraction:', error);
+    log.detection.error('Error during reel extraction:', error);
   }
   
   return reelMessages;
 }
 
 /**
- * Generate unique ID for reel element
+ * Hash a string into a short, deterministic base-36 token
+ * @param {string} value - String to hash
+ * @returns {string} Hash token
+ */
+function hashString(value) {
+  const hash = value.split('').reduce((a, b) => {
+    a = ((a << 5) - a) + b.charCodeAt(0);
+    return a & a;
+  }, 0);
+  return Math.abs(hash).toString(36);
+}
+
+/**
+ * Collect the parts of a reel card that stay the same across page loads
+ * Skips time elements, whose relative text ("2h") changes over time
+ * @param {Element} reelElement - The reel DOM element
+ * @returns {string} Normalized stable content, empty if none was found
+ */
+function getStableReelContent(reelElement) {
+  const card = reelElement.closest('a[href], [role="button"]') || reelElement;
+  const parts = [];
+
+  const walker = document.createTreeWalker(card, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const textNode = walker.currentNode;
+    if (!textNode.parentElement || !textNode.parentElement.closest('time')) {
+      parts.push(textNode.nodeValue);
+    }
+  }
+
+  card.querySelectorAll('img[alt]').forEach(img => parts.push(img.alt));
+
+  const ariaLabel = card.getAttribute('aria-label');
+  if (ariaLabel) {
+    parts.push(ariaLabel);
+  }
+
+  return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Generate a deterministic ID for a reel element from its stable content
+ * Scoped to the current conversation so identical cards in different threads stay apart
  * @param {Element} reelElement - The reel DOM element
- * @returns {string} Unique ID based on content or position
+ * @returns {string|null} Content-hash ID or null if the element has no stable content
  */
 function generateUniqueId(reelElement) {
   try {
-    // Try to generate ID based on content hash
-    const content = reelElement.textContent || reelElement.outerHTML || '';
-    const hash = content.split('').reduce((a, b) => {
-      a = ((a << 5) - a) + b.charCodeAt(0);
-      return a & a;
-    }, 0);
-    return `reel_${Math.abs(hash)}_${Date.now()}`;
+    const content = getStableReelContent(reelElement);
+    if (!content) {
+      return null;
+    }
+    return `hash_${hashString(`${getCurrentConversationId()}|${content}`)}`;
   } catch (error) {
-    // Fallback to timestamp-based ID
-    return `reel_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    log.detection.warn('Could not hash reel content:', error);
+    return null;
   }
 }
 
@@ -282,8 +319,15 @@ function generateDOMPath(reelElement) {
   }
 }
 
+// Attributes that carry a per-message ID when Instagram renders one
+const MESSAGE_ID_ATTRIBUTES = ['data-message-id', 'data-messageid', 'data-item-id'];
+
+// Element IDs React generates per render (e.g. ":r1f:"), which don't survive a re-render
+const GENERATED_ELEMENT_ID_PATTERN = /^(?::r|mount_)/;
+
 /**
  * Extract message ID from reel element
+ * Only IDs that stay the same when the row is re-rendered are returned
  * @param {Element} reelElement - The reel DOM element
  * @returns {string|null} Message ID or null if not found
  */
@@ -292,16 +336,39 @@ function extractMessageId(reelElement) {
     const messageContainer = findMessageContainer(reelElement);
     if (!messageContainer) return null;
     
-    // Try to find message ID from various attributes
-    const messageId = messageContainer.getAttribute('data-message-id') ||
-                     messageContainer.getAttribute('data-testid') ||
-                     messageContainer.id ||
-                     `msg_${Date.now()}`;
+    for (const attribute of MESSAGE_ID_ATTRIBUTES) {
+      const holder = messageContainer.closest(`[${attribute}]`);
+      const messageId = holder && holder.getAttribute(attribute);
+      if (messageId) {
+        return messageId;
+      }
+    }
+    
+    if (messageContainer.id && !GENERATED_ELEMENT_ID_PATTERN.test(messageContainer.id)) {
+      return messageContainer.id;
+    }
     
-    return messageId;
+    return null;
   } catch (error) {
-    return `msg_${Date.now()}`;
+    log.detection.warn('Could not extract message ID:', error);
+    return null;
+  }
+}
+
+/**
+ * Read the stable message ID of a message row
+ * @param {Element} row - Message row
+ * @returns {string|null} The message ID or null if the row carries none
+ */
+function extractRowMessageId(row) {
+  for (const attribute of MESSAGE_ID_ATTRIBUTES) {
+    const holder = row.closest(`[${attribute}]`) || row.querySelector(`[${attribute}]`);
+    const messageId = holder && holder.getAttribute(attribute);
+    if (messageId) {
+      return messageId;
+    }
   }
+  return null;
 }
 
 /**
@@ -318,8 +385,8 @@ function getCurrentConversationId() {
       return conversationMatch[1];
     }
     
-    // Fallback to URL hash or current timestamp
-    return url.split('/').pop() || `conv_${Date.now()}`;
+    // Fallback to the last path segment (e.g. "inbox") so the ID stays stable between calls
+    return window.location.pathname.split('/').filter(Boolean).pop() || 'unknown';
   } catch (error) {
     return `conv_${Date.now()}`;
   }
@@ -332,16 +399,17 @@ function getCurrentConversationId() {
  */
 function extractReelData(reelElement) {
   try {
-    console.log('[IG Reel Tracker] Extracting data from reel element:', reelElement.tagName);
+    log.detection.trace('Extracting data from reel element:', reelElement.tagName);
     
-    // Extract reel ID using the improved function
-    const reelId = extractReelId(reelElement);
-    if (!reelId) {
-      console.warn('[IG Reel Tracker] Could not extract reel ID from element');
+    // Resolve a deterministic reel identity
+    const identity = resolveReelIdentity(reelElement);
+    if (!identity) {
+      log.detection.warn('Could not extract reel ID from element');
       return null;
     }
     
-    console.log('[IG Reel Tracker] Extracted reel ID:', reelId);
+    const reelId = identity.id;
+    log.detection.trace(`Extracted reel ID (${identity.tier}):`, reelId);
     
     // Get reel URL if available
     let reelUrl = reelElement.href || reelElement.getAttribute('href');
@@ -356,102 +424,152 @@ function extractReelData(reelElement) {
     // Find the message container (parent element that contains the reel)
     const messageContainer = findMessageContainer(reelElement);
     if (!messageContainer) {
-      console.warn('[IG Reel Tracker] Could not find message container for reel');
+      log.detection.warn('Could not find message container for reel');
       return null;
     }
     
-    // Extract timestamp
-    const timestamp = extractTimestamp(messageContainer);
-    console.log('[IG Reel Tracker] Extracted timestamp:', timestamp);
+    // Extract when the message was sent
+    const sentTime = extractTimestamp(messageContainer);
+    log.detection.trace('Extracted sent time:', sentTime);
+    
+    // Work out who sent the reel
+    const sender = detectReelSender(reelElement, messageContainer);
+    log.detection.trace('Reel sender:', sender);
+    
+    // Preview details shown on the reel card
+    const metadata = extractReelMetadata(findReelCard(reelElement));
+    log.detection.trace('Reel metadata:', metadata);
     
     // Check for emoji reactions
-    const hasReaction = detectEmojiReactions(messageContainer);
-    console.log('[IG Reel Tracker] Has emoji reactions:', hasReaction);
+    const reactionData = detectReelReactions(reelElement);
+    log.detection.trace('Reactions:', reactionData.reactions);
     
     // Enhanced reel data model with proper ID
     const reelData = {
-      id: reelId, // Use the extracted/generated reel ID
-      timestamp: timestamp,
-      hasReaction: hasReaction,
+      reelId: reelId, // Use the extracted/generated reel ID
+      idTier: identity.tier, // Which identity tier produced the ID
+      timestamp: Date.now(), // When the reel was detected
+      sentAt: sentTime.sentAt,
+      sentAtConfidence: sentTime.confidence,
+      direction: sender.direction,
+      senderName: sender.senderName,
+      senderUsername: sender.senderUsername,
+      caption: metadata.caption,
+      authorHandle: metadata.authorHandle,
+      thumbnailUrl: metadata.thumbnailUrl,
+      durationSeconds: metadata.durationSeconds,
+      hasReaction: reactionData.hasReaction,
+      reactionType: reactionData.reactionType,
+      reactions: reactionData.reactions,
+      reactionsObservedAt: Date.now(), // Lets storage tell newer reaction reads from older ones
+      reactedByMe: reactionData.reactedByMe,
+      watchState: WATCH_STATES.UNWATCHED,
+      watchedAt: null,
+      watchedBy: null,
       reelUrl: reelUrl || null, // URL if available
       domPath: generateDOMPath(reelElement), // For navigation
       messageId: extractMessageId(reelElement),
       conversationId: getCurrentConversationId()
     };
     
-    console.log('[IG Reel Tracker] Final reel data:', reelData);
+    log.detection.debug('Final reel data:', reelData);
     return reelData;
     
   } catch (error) {
-    console.error('[IG Reel Tracker] Error extracting reel data:', error);
+    log.detection.error('Error extracting reel data:', error);
+    return null;
+  }
+}
+
+// Identity tiers, from most to least reliable
+const REEL_ID_TIERS = {
+  SHORTCODE: 'shortcode',
+  MEDIA: 'media',
+  CONTENT_HASH: 'content_hash'
+};
+
+/**
+ * Extract the CDN asset ID from an Instagram media URL
+ * e.g. .../t51.2885-15/123_456_789_n.jpg?... -> 123_456_789_n
+ * @param {string} url - Thumbnail or video URL
+ * @returns {string|null} Asset ID or null if the URL has none
+ */
+function extractCdnAssetId(url) {
+  if (!url || typeof url !== 'string' || url.startsWith('blob:')) {
     return null;
   }
+
+  const match = url.match(/\/([\w-]+_n)\.(?:jpe?g|png|webp|heic|mp4)(?:\?|$)/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Resolve a deterministic identity for a reel element
+ * Prefers the reel shortcode, then a media or CDN asset ID, then a content hash
+ * @param {Element} element - The reel DOM element
+ * @returns {Object|null} { id, tier } or null if no stable identity exists
+ */
+function resolveReelIdentity(element) {
+  // Tier 1: shortcode from the reel link on or around the element
+  const card = element.closest('[role="row"], [role="button"]') || element;
+  const links = [
+    element.closest('a[href]'),
+    element.matches('a[href]') ? element : null,
+    ...card.querySelectorAll('a[href*="/reel/"], a[href*="/reels/"]')
+  ].filter(Boolean);
+
+  for (const link of links) {
+    const shortcode = extractReelIdFromUrl(link.getAttribute('href'));
+    if (shortcode) {
+      return { id: shortcode, tier: REEL_ID_TIERS.SHORTCODE };
+    }
+  }
+
+  // Tier 2: media ID from data attributes or media URLs, then the CDN asset ID
+  const mediaIdHolder = element.closest('[data-media-id]') || card.querySelector('[data-media-id]');
+  if (mediaIdHolder) {
+    return { id: mediaIdHolder.getAttribute('data-media-id'), tier: REEL_ID_TIERS.MEDIA };
+  }
+
+  const mediaElements = [
+    element.tagName === 'VIDEO' ? element : element.querySelector('video'),
+    element.tagName === 'IMG' ? element : element.querySelector('img')
+  ].filter(Boolean);
+
+  for (const mediaElement of mediaElements) {
+    const src = mediaElement.getAttribute('src') || mediaElement.getAttribute('poster');
+    const mediaId = src && (extractReelIdFromUrl(src) || extractCdnAssetId(src));
+    if (mediaId) {
+      return { id: mediaId, tier: REEL_ID_TIERS.MEDIA };
+    }
+  }
+
+  // Tier 3: conversation-scoped hash of the card's stable content
+  const hashId = generateUniqueId(element);
+  if (hashId) {
+    return { id: hashId, tier: REEL_ID_TIERS.CONTENT_HASH };
+  }
+
+  return null;
 }
 
 /**
- * Extract reel ID from element or URL with multiple strategies
+ * Extract reel ID from element or URL
  * @param {Element|string} elementOrUrl - The reel element or URL
  * @returns {string|null} The reel ID or null if not found
  */
 function extractReelId(elementOrUrl) {
   try {
-    let reelId = null;
-    
     // Handle element input
     if (typeof elementOrUrl === 'object' && elementOrUrl.nodeType === Node.ELEMENT_NODE) {
-      const element = elementOrUrl;
-      console.log('[IG Reel Tracker] Extracting reel ID from element:', element.tagName);
-      
-      // Strategy 1: Extract from href attributes
-      const href = element.href || element.getAttribute('href');
-      if (href) {
-        reelId = extractReelIdFromUrl(href);
-        if (reelId) {
-          console.log('[IG Reel Tracker] Extracted reel ID from href:', reelId);
-          return reelId;
-        }
-      }
-      
-      // Strategy 2: Extract from video source URLs
-      const videoElement = element.tagName === 'VIDEO' ? element : element.querySelector('video');
-      if (videoElement) {
-        const src = videoElement.src || videoElement.getAttribute('src');
-        if (src) {
-          reelId = extractReelIdFromUrl(src);
-          if (reelId) {
-            console.log('[IG Reel Tracker] Extracted reel ID from video src:', reelId);
-            return reelId;
-          }
-        }
-      }
-      
-      // Strategy 3: Extract from thumbnail image URLs
-      const imgElement = element.tagName === 'IMG' ? element : element.querySelector('img');
-      if (imgElement) {
-        const src = imgElement.src || imgElement.getAttribute('src');
-        if (src) {
-          reelId = extractReelIdFromUrl(src);
-          if (reelId) {
-            console.log('[IG Reel Tracker] Extracted reel ID from image src:', reelId);
-            return reelId;
-          }
-        }
-      }
-      
-      // Strategy 4: Generate based on message position + timestamp (avoid same fallback pattern)
-      const messageContainer = findMessageContainer(element);
-      if (messageContainer) {
-        const messageIndex = Array.from(messageContainer.parentElement.children).indexOf(messageContainer);
-        const timestamp = Date.now().toString().slice(-8); // Last 8 digits
-        reelId = `msg_${messageIndex}_${timestamp}`;
-        console.log('[IG Reel Tracker] Generated contextual reel ID:', reelId);
-        return reelId;
+      const identity = resolveReelIdentity(elementOrUrl);
+      if (!identity) {
+        log.detection.warn('No stable identity for reel element:', elementOrUrl.tagName);
+        return null;
       }
-      
-      // Last resort: Generate completely unique ID
-      reelId = `unknown_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
-      console.log('[IG Reel Tracker] Generated fallback reel ID:', reelId);
-      return reelId;
+
+      log.detection.trace(`Extracted reel ID (${identity.tier}):`, identity.id);
+      return identity.id;
     }
     
     // Handle URL string input
@@ -459,12 +577,12 @@ function extractReelId(elementOrUrl) {
       return extractReelIdFromUrl(elementOrUrl);
     }
     
-    console.warn('[IG Reel Tracker] Invalid input for reel ID extraction:', elementOrUrl);
+    log.detection.warn('Invalid input for reel ID extraction:', elementOrUrl);
     return null;
     
   } catch (error) {
-    console.error('[IG Reel Tracker] Error extracting reel ID:', error);
-    return `error_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    log.detection.error('Error extracting reel ID:', error);
+    return null;
   }
 }
 
@@ -475,10 +593,10 @@ function extractReelId(elementOrUrl) {
  */
 function extractReelIdFromUrl(url) {
   try {
-    console.log('[IG Reel Tracker] Extracting reel ID from URL:', url);
+    log.detection.trace('Extracting reel ID from URL:', url);
     
     if (!url || typeof url !== 'string') {
-      console.warn('[IG Reel Tracker] Invalid URL provided:', url);
+      log.detection.debug('Invalid URL provided:', url);
       return null;
     }
     
@@ -495,16 +613,16 @@ function extractReelIdFromUrl(url) {
       const match = url.match(pattern);
       if (match && match[1] && match[1].length > 3) { // Ensure ID is meaningful length
         const reelId = match[1];
-        console.log('[IG Reel Tracker] Successfully extracted reel ID:', reelId);
+        log.detection.trace('Successfully extracted reel ID:', reelId);
         return reelId;
       }
     }
     
-    console.warn('[IG Reel Tracker] No reel ID pattern matched for URL:', url);
+    log.detection.debug('No reel ID pattern matched for URL:', url);
     return null;
     
   } catch (error) {
-    console.error('[IG Reel Tracker] Error extracting reel ID from URL:', error);
+    log.detection.error('Error extracting reel ID from URL:', error);
     return null;
   }
 }
@@ -516,10 +634,10 @@ function extractReelIdFromUrl(url) {
  */
 function findMessageContainer(reelElement) {
   try {
-    console.log('[IG Reel Tracker] Finding message container for reel element, walking up DOM tree');
+    log.detection.trace('Finding message container for reel element, walking up DOM tree');
     
     if (!reelElement || !reelElement.parentElement) {
-      console.warn('[IG Reel Tracker] Invalid reel element provided');
+      log.detection.warn('Invalid reel element provided');
       return null;
     }
     
@@ -545,7 +663,7 @@ function findMessageContainer(reelElement) {
     // Walk UP the DOM tree to find the message bubble/container
     while (currentElement && currentElement !== document.body && depth < maxDepth) {
       const elementInfo = `${currentElement.tagName}${currentElement.className ? '.' + currentElement.className.split(' ')[0] : ''}`;
-      console.log(`[IG Reel Tracker] Checking element at depth ${depth}: ${elementInfo}`);
+      log.detection.trace(`Checking element at depth ${depth}: ${elementInfo}`);
       
       // Skip the reel element itself on first iteration
       if (depth > 0) {
@@ -556,8 +674,8 @@ function findMessageContainer(reelElement) {
               // Verify this is actually a message container by checking its size
               const rect = currentElement.getBoundingClientRect();
               if (rect.width > 50 && rect.height > 20) {
-                console.log('[IG Reel Tracker] Found message container with selector:', selector);
-                console.log('[IG Reel Tracker] Container dimensions:', rect.width, 'x', rect.height);
+                log.detection.trace('Found message container with selector:', selector);
+                log.detection.trace('Container dimensions:', rect.width, 'x', rect.height);
                 return currentElement;
               }
             }
@@ -580,7 +698,7 @@ function findMessageContainer(reelElement) {
         if (hasMessageRole || hasMessageStyle || hasMessageClass) {
           const rect = currentElement.getBoundingClientRect();
           if (rect.width > 50 && rect.height > 20) {
-            console.log('[IG Reel Tracker] Found message container by characteristics:', elementInfo);
+            log.detection.trace('Found message container by characteristics:', elementInfo);
             return currentElement;
           }
         }
@@ -598,7 +716,7 @@ function findMessageContainer(reelElement) {
       while (fallbackElement && fallbackElement !== document.body && fallbackDepth < 3) {
         const rect = fallbackElement.getBoundingClientRect();
         if (rect.width > 100 && rect.height > 40) { // Reasonable message size
-          console.log('[IG Reel Tracker] Using fallback message container at depth:', fallbackDepth);
+          log.detection.trace('Using fallback message container at depth:', fallbackDepth);
           return fallbackElement;
         }
         fallbackElement = fallbackElement.parentElement;
@@ -606,23 +724,24 @@ function findMessageContainer(reelElement) {
       }
     }
     
-    console.warn('[IG Reel Tracker] Could not find suitable message container');
+    log.detection.debug('Could not find suitable message container');
     return null;
     
   } catch (error) {
-    console.error('[IG Reel Tracker] Error finding message container:', error);
+    log.detection.error('Error finding message container:', error);
     return null;
   }
 }
 
 /**
- * Extract timestamp from message container
+ * Extract when a message was sent from its container
+ * Falls back to the nearest date separator above the message, then to the current time
  * @param {Element} messageContainer - The message container element
- * @returns {number|null} Timestamp in milliseconds or null if not found
+ * @returns {Object} Sent time ({sentAt, confidence}) with a TIMESTAMP_CONFIDENCE level
  */
 function extractTimestamp(messageContainer) {
   try {
-    console.log('[IG Reel Tracker] Extracting timestamp from message container');
+    log.detection.trace('Extracting timestamp from message container');
     
     // Multiple selectors for timestamp elements
     const timestampSelectors = [
@@ -636,1363 +755,4400 @@ function extractTimestamp(messageContainer) {
     for (const selector of timestampSelectors) {
       const timestampElement = messageContainer.querySelector(selector);
       if (timestampElement) {
-        console.log('[IG Reel Tracker] Found timestamp element with selector:', selector);
+        log.detection.trace('Found timestamp element with selector:', selector);
         
         // Try to get datetime attribute first
         if (timestampElement.hasAttribute('datetime')) {
           const dateTime = timestampElement.getAttribute('datetime');
           const timestamp = new Date(dateTime).getTime();
           if (!isNaN(timestamp)) {
-            console.log('[IG Reel Tracker] Extracted timestamp from datetime:', dateTime, '->', timestamp);
-            return timestamp;
+            log.detection.trace('Extracted timestamp from datetime:', dateTime, '->', timestamp);
+            return { sentAt: timestamp, confidence: TIMESTAMP_CONFIDENCE.EXACT };
           }
         }
         
-        // Try to get title attribute
-        if (timestampElement.hasAttribute('title')) {
-          const title = timestampElement.getAttribute('title');
-          console.log('[IG Reel Tracker] Found title attribute:', title);
-          // Instagram titles often contain relative time, so we'll use current time as fallback
-          return Date.now();
-        }
-        
-        // Try to get text content
-        const textContent = timestampElement.textContent?.trim();
-        if (textContent) {
-          console.log('[IG Reel Tracker] Found timestamp text:', textContent);
-          // Instagram often shows relative time (e.g., "2h ago"), so use current time
-          return Date.now();
+        // Then the title attribute and the visible text, e.g. "2h" or "Yesterday 14:03"
+        const candidates = [timestampElement.getAttribute('title'), timestampElement.textContent];
+        for (const candidate of candidates) {
+          const parsed = parseMessageTime(candidate);
+          if (parsed) {
+            log.detection.trace('Parsed timestamp text:', candidate, '->', parsed);
+            return parsed;
+          }
         }
       }
     }
     
-    console.warn('[IG Reel Tracker] No timestamp found, using current time as fallback');
-    return Date.now();
+    // Messages without their own time fall under the date separator of their group
+    const separatorTime = findDateSeparatorTime(messageContainer);
+    if (separatorTime) {
+      log.detection.trace('Using date separator time:', separatorTime);
+      return separatorTime;
+    }
+    
+    log.detection.debug('No timestamp found, using current time as fallback');
+    return { sentAt: Date.now(), confidence: TIMESTAMP_CONFIDENCE.NONE };
     
   } catch (error) {
-    console.error('[IG Reel Tracker] Error extracting timestamp:', error);
-    return Date.now(); // Fallback to current time
+    log.detection.error('Error extracting timestamp:', error);
+    return { sentAt: Date.now(), confidence: TIMESTAMP_CONFIDENCE.NONE }; // Fallback to current time
   }
 }
 
+// =============================================================================
+// MESSAGE TIME PARSING
+// =============================================================================
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Relative time units as Instagram abbreviates them ("5m", "2h", "3d", "1w"), plus long forms
+const RELATIVE_TIME_UNITS = [
+  { pattern: /^(s|secs?|seconds?)$/, ms: 1000, confidence: TIMESTAMP_CONFIDENCE.HIGH },
+  { pattern: /^(m|mins?|minutes?)$/, ms: MINUTE_MS, confidence: TIMESTAMP_CONFIDENCE.MEDIUM },
+  { pattern: /^(h|hrs?|hours?)$/, ms: 60 * MINUTE_MS, confidence: TIMESTAMP_CONFIDENCE.MEDIUM },
+  { pattern: /^(d|days?)$/, ms: DAY_MS, confidence: TIMESTAMP_CONFIDENCE.LOW },
+  { pattern: /^(w|wks?|weeks?)$/, ms: 7 * DAY_MS, confidence: TIMESTAMP_CONFIDENCE.LOW },
+  { pattern: /^(y|yrs?|years?)$/, ms: 365 * DAY_MS, confidence: TIMESTAMP_CONFIDENCE.LOW }
+];
+
+// Longest text treated as a time label; longer text is message content
+const MAX_TIME_LABEL_LENGTH = 60;
+
+// How far back to look for the date separator of a message group
+const MAX_SEPARATOR_SEARCH = 100;
+
+// Month, weekday and today/yesterday names for the page and browser locales, built on first use
+let localeDateNames = null;
+
 /**
- * Detect if message has emoji reactions (improved for message bubbles)
- * @param {Element} messageContainer - The message container element
- * @returns {boolean} True if emoji reactions are present
+ * Lowercase a date word and drop abbreviation dots so "Jan." matches "jan"
+ * @param {string} word - Month, weekday or day name
+ * @returns {string} Normalized word
  */
-function detectEmojiReactions(messageContainer) {
-  try {
-    console.log('[IG Reel Tracker] Checking for emoji reactions in message bubble and surrounding areas');
-    
-    if (!messageContainer) {
-      console.warn('[IG Reel Tracker] No message container provided for reaction detection');
-      return false;
-    }
-    
-    // Multiple search areas (message bubble + siblings)
-    const searchAreas = [
-      messageContainer,                    // The message itself
-      messageContainer.parentElement,      // Parent container
-      messageContainer.nextElementSibling, // Next sibling (reactions often appear after)
-      messageContainer.previousElementSibling // Previous sibling
-    ].filter(Boolean); // Remove null elements
-    
-    // Instagram reaction patterns for DM messages
-    const reactionSelectors = [
-      // Heart icons (both SVG and emoji)
-      'svg[aria-label*="heart" i]',
-      'svg[aria-label*="like" i]',
-      '[data-testid*="heart"]',
-      
-      // Emoji reactions
-      'span[role="img"]',
-      '[class*="emoji"]',
-      '[class*="reaction"]',
-      
-      // Text indicators
-      '[aria-label*="liked" i]',
-      '[title*="liked" i]',
-      
-      // Reaction containers
-      '[data-testid*="reaction"]',
-      '.reaction-button',
-      '.message-reaction'
-    ];
-    
-    // Common emoji patterns in text content
-    const emojiPatterns = [
-      /❤️|♥️|💖|💕|💗/, // Hearts
-      /👍|👏|🙌/,        // Likes
-      /😂|🤣|😆/,        // Laughs
-      /🔥|💯|✨/         // Fire/100/sparkle
-    ];
-    
-    // Search each area for reactions
-    for (const area of searchAreas) {
-      try {
-        // Check for reaction elements
-        for (const selector of reactionSelectors) {
-          const reactionElements = area.querySelectorAll(selector);
-          if (reactionElements.length > 0) {
-            console.log(`[IG Reel Tracker] Found reaction elements with selector: ${selector}`);
-            return true;
-          }
-        }
+function normalizeDateWord(word) {
+  return word.toLowerCase().replace(/\./g, '').trim();
+}
+
+/**
+ * Build lookup tables of localized date names using Intl
+ * Covers the page language, the browser language and English
+ * @returns {Object} Maps of month, weekday and relative-day names plus the numeric date order
+ */
+function getLocaleDateNames() {
+  if (localeDateNames) {
+    return localeDateNames;
+  }
+  
+  const locales = [document.documentElement.lang, navigator.language, 'en'].filter(Boolean);
+  const months = new Map();
+  const weekdays = new Map();
+  const relativeDays = new Map();
+  let dateOrder = null;
+  
+  locales.forEach(locale => {
+    try {
+      ['long', 'short'].forEach(style => {
+        const monthFormat = new Intl.DateTimeFormat(locale, { month: style, timeZone: 'UTC' });
+        const weekdayFormat = new Intl.DateTimeFormat(locale, { weekday: style, timeZone: 'UTC' });
         
-        // Check for emoji patterns in text content
-        const textContent = area.textContent || '';
-        for (const pattern of emojiPatterns) {
-          if (pattern.test(textContent)) {
-            console.log('[IG Reel Tracker] Found emoji reaction in text content');
-            return true;
-          }
+        for (let month = 0; month < 12; month++) {
+          months.set(normalizeDateWord(monthFormat.format(Date.UTC(2000, month, 15))), month);
         }
-        
-        // Check for small overlaid elements on message bubbles (reaction indicators)
-        const smallElements = area.querySelectorAll('div, span');
-        for (const element of smallElements) {
-          const rect = element.getBoundingClientRect();
-          if (rect.width > 10 && rect.width < 40 && rect.height > 10 && rect.height < 40) {
-            const hasReactionContent = element.textContent && 
-                                      (element.textContent.includes('❤') ||
-                                       element.textContent.includes('👍') ||
-                                       element.textContent.includes('Liked'));
-            if (hasReactionContent) {
-              console.log('[IG Reel Tracker] Found small reaction indicator element');
-              return true;
-            }
-          }
+        // 2 January 2000 was a Sunday, matching getDay() numbering
+        for (let weekday = 0; weekday < 7; weekday++) {
+          weekdays.set(normalizeDateWord(weekdayFormat.format(Date.UTC(2000, 0, 2 + weekday))), weekday);
         }
-        
-      } catch (areaError) {
-        console.warn('[IG Reel Tracker] Error checking area for reactions:', areaError);
-        continue;
+      });
+      
+      const relativeFormat = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+      relativeDays.set(normalizeDateWord(relativeFormat.format(0, 'day')), 0);
+      relativeDays.set(normalizeDateWord(relativeFormat.format(-1, 'day')), -1);
+      
+      // Order of day, month and year in numeric dates like 05/01/2024
+      if (!dateOrder) {
+        dateOrder = new Intl.DateTimeFormat(locale).formatToParts(new Date(2000, 10, 22))
+          .map(part => part.type)
+          .filter(type => type === 'day' || type === 'month' || type === 'year');
       }
+    } catch (error) {
+      log.detection.warn(`Could not load date names for locale ${locale}:`, error);
     }
-    
-    console.log('[IG Reel Tracker] No reactions detected in any search area');
-    return false;
-    
-  } catch (error) {
-    console.error('[IG Reel Tracker] Error detecting emoji reactions:', error);
-    return false;
+  });
+  
+  localeDateNames = {
+    months,
+    weekdays,
+    // Longest first so "yesterday" is not mistaken for a shorter name inside it
+    relativeDays: Array.from(relativeDays.entries()).sort((a, b) => b[0].length - a[0].length),
+    dateOrder: dateOrder || ['month', 'day', 'year']
+  };
+  return localeDateNames;
+}
+
+/**
+ * Find a clock time such as "14:03", "2:03 PM" or "14.03" in a label
+ * @param {string} text - Lowercased time label
+ * @returns {Object|null} Hours, minutes and the label with the time removed
+ */
+function parseClockTime(text) {
+  const match = text.match(/(\d{1,2})[:.](\d{2})(?:[:.]\d{2})?(?:\s*([ap])\.?\s*m\.?)?/);
+  if (!match) {
+    return null;
+  }
+  
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (match[3] === 'p' && hours < 12) {
+    hours += 12;
+  } else if (match[3] === 'a' && hours === 12) {
+    hours = 0;
+  }
+  
+  if (hours > 23 || minutes > 59) {
+    return null;
   }
+  
+  return { hours, minutes, rest: text.replace(match[0], ' ') };
 }
 
 /**
- * Log all detected reel messages to console
- * @param {Array} reelMessages - Array of reel message objects
+ * Parse a numeric date such as "05/01/2024", "05.01.24" or "2024-01-05" in the locale's order
+ * @param {string} text - Time label
+ * @param {Array} dateOrder - Order of day, month and year for the locale
+ * @returns {Object|null} Year, month (0-based), day and the matched text
  */
-function logReelMessages(reelMessages) {
-  console.log('='.repeat(60));
-  console.log('[IG Reel Tracker] REEL MESSAGES SUMMARY');
-  console.log('='.repeat(60));
+function parseNumericDate(text, dateOrder) {
+  const match = text.match(/(\d{1,4})[\/.\-](\d{1,2})[\/.\-](\d{2,4})/);
+  if (!match) {
+    return null;
+  }
   
-  if (reelMessages.length === 0) {
-    console.log('No reel messages found in current conversation');
-  } else {
-    console.log(`Found ${reelMessages.length} reel message(s):`);
-    reelMessages.forEach((reel, index) => {
-      console.log(`\n${index + 1}. Reel ID: ${reel.reelId}`);
-      console.log(`   URL: ${reel.reelUrl}`);
-      console.log(`   Timestamp: ${reel.timestamp} (${new Date(reel.timestamp).toLocaleString()})`);
-      console.log(`   Has Reactions: ${reel.hasReaction ? '✅ Yes' : '❌ No'}`);
-    });
+  const order = match[1].length === 4 ? ['year', 'month', 'day'] : dateOrder;
+  const parts = {};
+  order.forEach((type, index) => {
+    parts[type] = parseInt(match[index + 1], 10);
+  });
+  
+  if (parts.year < 100) {
+    parts.year += 2000;
+  }
+  if (!parts.month || parts.month > 12 || !parts.day || parts.day > 31) {
+    return null;
   }
   
-  console.log('='.repeat(60));
+  return { year: parts.year, month: parts.month - 1, day: parts.day, matchedText: match[0] };
 }
 
 /**
- * Main function to detect and log all reels in the conversation
- * @returns {Array} Array of detected reel messages
+ * Parse an Instagram message time label into a sent time
+ * Understands relative ("2h", "3 days ago"), today/yesterday, weekday ("Mon 14:03"),
+ * absolute ("Jan 5, 2024, 2:03 PM") and numeric dates ("05.01.2024, 14:03"), in the page or browser language
+ * @param {string} rawText - Time label as shown on the page
+ * @param {number} now - Reference time, defaults to the current time
+ * @returns {Object|null} Sent time ({sentAt, confidence}) or null if the label is not a time
  */
-function detectAndLogReels() {
-  try {
-    console.log('[IG Reel Tracker] Starting reel detection process...');
-    
-    if (!isInstagramDMPage()) {
-      console.log('[IG Reel Tracker] Not on Instagram DM page, skipping reel detection');
-      return [];
+function parseMessageTime(rawText, now = Date.now()) {
+  const text = (rawText || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!text || text.length > MAX_TIME_LABEL_LENGTH) {
+    return null;
+  }
+  
+  // Machine-readable ISO dates
+  if (/^\d{4}-\d{2}-\d{2}t/.test(text)) {
+    const timestamp = Date.parse(rawText.trim());
+    return isNaN(timestamp) ? null : { sentAt: timestamp, confidence: TIMESTAMP_CONFIDENCE.EXACT };
+  }
+  
+  if (/^(just )?now$/.test(text)) {
+    return { sentAt: now, confidence: TIMESTAMP_CONFIDENCE.HIGH };
+  }
+  
+  // Relative times: "5m", "2h", "3 days ago"
+  const relativeMatch = text.match(/^(\d+)\s?([a-z]+)(?: ago)?$/);
+  if (relativeMatch) {
+    const unit = RELATIVE_TIME_UNITS.find(candidate => candidate.pattern.test(relativeMatch[2]));
+    if (unit) {
+      return { sentAt: now - parseInt(relativeMatch[1], 10) * unit.ms, confidence: unit.confidence };
     }
-    
-    // Extract all reel messages
-    const reelMessages = extractReelMessages();
-    
-    // Log summary to console
-    logReelMessages(reelMessages);
-    
-    // Store reels in extension storage for popup access
-    if (reelMessages.length > 0) {
-      chrome.storage.local.set({ 
-        detectedReels: reelMessages,
-        lastDetectionTime: Date.now()
-      }, () => {
-        console.log('[IG Reel Tracker] Stored reel data in extension storage');
-      });
+  }
+  
+  const names = getLocaleDateNames();
+  // Take the numeric date out first, or "05.01.2024" reads as the clock time 05:01
+  const numericDate = parseNumericDate(text, names.dateOrder);
+  const undatedText = numericDate ? text.replace(numericDate.matchedText, ' ') : text;
+  const clock = parseClockTime(undatedText);
+  const rest = clock ? clock.rest : undatedText;
+  const reference = new Date(now);
+  const words = rest.split(/[\s,]+/).map(normalizeDateWord).filter(Boolean);
+  
+  let date = null;
+  let hasYear = false;
+  
+  const relativeDay = names.relativeDays.find(([name]) => rest.includes(name));
+  const monthWord = words.find(word => names.months.has(word) && !/^\d/.test(word));
+  
+  if (relativeDay) {
+    // "Today 14:03", "Yesterday at 2:03 PM", "Gestern 14:03"
+    date = new Date(reference.getFullYear(), reference.getMonth(), reference.getDate() + relativeDay[1]);
+  } else if (numericDate) {
+    // "05/01/2024", "2024-01-05", "05.01.2024, 14:03"
+    date = new Date(numericDate.year, numericDate.month, numericDate.day);
+    hasYear = true;
+  } else if (monthWord) {
+    // "Jan 5, 2024", "5 janv. 2024", "March 3 at 10:15"
+    const yearMatch = rest.match(/\b(\d{4})\b/);
+    const dayMatch = rest.replace(yearMatch ? yearMatch[0] : '', ' ').match(/\b(\d{1,2})\b/);
+    if (!dayMatch) {
+      return null;
+    }
+    hasYear = Boolean(yearMatch);
+    date = new Date(
+      yearMatch ? parseInt(yearMatch[1], 10) : reference.getFullYear(),
+      names.months.get(monthWord),
+      parseInt(dayMatch[1], 10)
+    );
+  } else {
+    const weekdayWord = words.find(word => names.weekdays.has(word));
+    if (weekdayWord) {
+      // Weekday labels cover the past week, never today
+      const daysAgo = ((reference.getDay() - names.weekdays.get(weekdayWord)) + 7) % 7 || 7;
+      date = new Date(reference.getFullYear(), reference.getMonth(), reference.getDate() - daysAgo);
+    } else if (clock && !/[a-z]{3,}/.test(rest)) {
+      // A bare clock time is today, or yesterday if that time has not come yet
+      date = new Date(reference.getFullYear(), reference.getMonth(), reference.getDate());
+      if (date.getTime() + (clock.hours * 60 + clock.minutes) * MINUTE_MS > now) {
+        date.setDate(date.getDate() - 1);
+      }
+    } else {
+      return null;
+    }
+  }
+  
+  if (clock) {
+    date.setHours(clock.hours, clock.minutes, 0, 0);
+  }
+  
+  // A month and day without a year that lands in the future was last year
+  if (monthWord && !hasYear && date.getTime() > now + DAY_MS) {
+    date.setFullYear(date.getFullYear() - 1);
+  }
+  
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  
+  return {
+    sentAt: date.getTime(),
+    confidence: clock ? TIMESTAMP_CONFIDENCE.HIGH : TIMESTAMP_CONFIDENCE.LOW
+  };
+}
+
+/**
+ * Check whether an element looks like a date separator row between message groups
+ * @param {Element} element - Candidate element
+ * @returns {Object|null} Parsed separator time or null
+ */
+function parseDateSeparator(element) {
+  if (element.querySelector('a[href], img, video')) {
+    return null;
+  }
+  return parseMessageTime(element.textContent);
+}
+
+/**
+ * Find the date separator above a message and use it as the message's sent time
+ * The separator marks the start of the group, so the result is one confidence level lower
+ * @param {Element} messageContainer - The message container element
+ * @returns {Object|null} Sent time ({sentAt, confidence}) or null if no separator was found
+ */
+function findDateSeparatorTime(messageContainer) {
+  try {
+    let current = messageContainer.closest('[role="row"]') || messageContainer;
+    
+    // Separators may be siblings of the row itself or of one of its wrappers
+    for (let level = 0; level < 3 && current && current !== document.body; level++) {
+      let sibling = current.previousElementSibling;
+      for (let checked = 0; sibling && checked < MAX_SEPARATOR_SEARCH; checked++) {
+        const separatorTime = parseDateSeparator(sibling);
+        if (separatorTime) {
+          return {
+            sentAt: separatorTime.sentAt,
+            confidence: separatorTime.confidence === TIMESTAMP_CONFIDENCE.LOW
+              ? TIMESTAMP_CONFIDENCE.LOW
+              : TIMESTAMP_CONFIDENCE.MEDIUM
+          };
+        }
+        sibling = sibling.previousElementSibling;
+      }
+      
+      if (current.matches('[role="grid"]')) {
+        break;
+      }
+      current = current.parentElement;
     }
     
-    return reelMessages;
-    
+    return null;
   } catch (error) {
-    console.error('[IG Reel Tracker] Error during reel detection:', error);
-    return [];
+    log.detection.warn('Error finding date separator:', error);
+    return null;
   }
 }
 
-// Track initialization state
-let isInitialized = false;
-let mutationObserver = null;
-
-// Cached results to prevent reprocessing
-const processedReels = new Set();
+// =============================================================================
+// SENDER ATTRIBUTION
+// =============================================================================
 
-// Map to store detected reels and avoid duplicates
-const detectedReelsMap = new Map();
+// Minimum difference between the left and right gaps before alignment counts as a signal
+const ALIGNMENT_THRESHOLD = 20;
 
-// Debouncing for storage operations
-let storageDebounceTimer = null;
-const STORAGE_DEBOUNCE_DELAY = 1000; // 1 second
+// How many following rows to search for the avatar that ends a message group
+const MAX_SENDER_SEARCH_ROWS = 10;
 
-// Storage constants
-const MAX_REELS_STORAGE = 1000;
-const STORAGE_KEY_PREFIX = 'ig_reel_data_';
+// Hidden labels Instagram puts on messages the current user sent
+const SENT_BY_ME_PATTERN = /^you (sent|shared|replied)/i;
 
 /**
- * Throttle function for performance optimization
- * @param {Function} func - Function to throttle
- * @param {number} delay - Delay in milliseconds
- * @returns {Function} Throttled function
+ * Read a sender from a profile avatar link inside an element
+ * @param {Element} element - Message row to search
+ * @returns {Object|null} Sender username and display name, or null if no avatar is shown
  */
-function throttle(func, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = Date.now();
-    if (now - lastCall >= delay) {
-      lastCall = now;
-      return func.apply(this, args);
+function findSenderAvatar(element) {
+  const avatarLinks = element.querySelectorAll('a[href^="/"] img[alt]');
+  
+  for (const avatar of avatarLinks) {
+    const link = avatar.closest('a[href^="/"]');
+    const path = link.getAttribute('href');
+    
+    // Reel and post links also wrap images; profile links are a single path segment
+    const usernameMatch = path.match(/^\/([A-Za-z0-9._]+)\/?$/);
+    if (!usernameMatch || usernameMatch[1] === 'direct') {
+      continue;
     }
-  };
+    
+    const nameMatch = avatar.alt.match(/^(.+?)['’]s profile picture$/i);
+    return {
+      senderUsername: usernameMatch[1],
+      senderName: nameMatch ? nameMatch[1] : null
+    };
+  }
+  
+  return null;
 }
 
-// Throttled detection for performance
-const reelDetectionThrottle = throttle(scanForNewReels, 1000);
+/**
+ * Guess message direction from where the bubble sits in its row
+ * Outgoing messages are right-aligned, incoming ones left-aligned
+ * @param {Element} row - Message row
+ * @param {Element} bubble - Message bubble inside the row
+ * @returns {string} A REEL_DIRECTIONS value
+ */
+function detectDirectionFromAlignment(row, bubble) {
+  const rowRect = row.getBoundingClientRect();
+  const bubbleRect = bubble.getBoundingClientRect();
+  if (!rowRect.width || !bubbleRect.width || bubble === row) {
+    return REEL_DIRECTIONS.UNKNOWN;
+  }
+  
+  const leftGap = bubbleRect.left - rowRect.left;
+  const rightGap = rowRect.right - bubbleRect.right;
+  if (Math.abs(leftGap - rightGap) < ALIGNMENT_THRESHOLD) {
+    return REEL_DIRECTIONS.UNKNOWN;
+  }
+  
+  return rightGap < leftGap ? REEL_DIRECTIONS.SENT : REEL_DIRECTIONS.RECEIVED;
+}
 
 /**
- * Initialize content script
- * Sets up observers and communicates with service worker
+ * Work out who sent a reel message
+ * Uses Instagram's hidden "You sent" labels, the sender avatar shown on incoming
+ * message groups and, failing those, the bubble's alignment
+ * @param {Element} reelElement - The reel DOM element
+ * @param {Element} messageContainer - The reel's message container
+ * @returns {Object} Direction plus sender username and display name where available
  */
-async function initializeContentScript() {
+function detectReelSender(reelElement, messageContainer) {
+  const sender = { direction: REEL_DIRECTIONS.UNKNOWN, senderName: null, senderUsername: null };
+  
   try {
-    console.log('[IG Reel Tracker] Content script initializing...');
-    
-    if (!isInstagramDMPage()) {
-      console.log('[IG Reel Tracker] Not on DM page, content script inactive');
-      return { success: false, error: 'Not on Instagram DM page' };
+    const bubble = messageContainer || reelElement;
+    const row = bubble.closest('[role="row"]') || bubble.parentElement || bubble;
+    
+    const rowLabels = Array.from(row.querySelectorAll('h5, h6, [aria-label]'))
+      .map(element => (element.getAttribute('aria-label') || element.textContent || '').trim());
+    if (rowLabels.some(label => SENT_BY_ME_PATTERN.test(label))) {
+      sender.direction = REEL_DIRECTIONS.SENT;
+      return sender;
     }
     
-    console.log('[IG Reel Tracker] Instagram DM page detected, initializing tracking');
-    
-    // Notify service worker that content script is ready
-    const response = await chrome.runtime.sendMessage({
-      action: 'contentScriptReady',
-      url: window.location.href
-    });
+    const alignment = detectDirectionFromAlignment(row, bubble);
+    if (alignment === REEL_DIRECTIONS.SENT) {
+      sender.direction = REEL_DIRECTIONS.SENT;
+      return sender;
+    }
     
-    if (response && response.success) {
-      console.log('[IG Reel Tracker] Service worker connection established:', response.message);
-      console.log('[IG Reel Tracker] Extension enabled:', response.isEnabled);
+    // Incoming groups end with the sender's avatar, so look at this row and the ones after it
+    let candidate = row;
+    for (let checked = 0; candidate && checked <= MAX_SENDER_SEARCH_ROWS; checked++) {
+      if (candidate !== row && detectDirectionFromAlignment(candidate, candidate.firstElementChild || candidate) === REEL_DIRECTIONS.SENT) {
+        break;
+      }
       
-      if (response.isEnabled) {
-        setupMutationObserver();
-        
-        // Perform initial reel detection after a short delay
-        setTimeout(() => {
-          console.log('[IG Reel Tracker] Performing initial reel detection...');
-          detectAndLogReels();
-        }, 2000);
-        
-        isInitialized = true;
-        return { success: true, message: 'Extension initialized successfully' };
-      } else {
-        return { success: false, error: 'Extension is disabled' };
+      const avatar = findSenderAvatar(candidate);
+      if (avatar) {
+        return { direction: REEL_DIRECTIONS.RECEIVED, ...avatar };
       }
-    } else {
-      console.error('[IG Reel Tracker] Failed to connect to service worker:', response);
-      return { success: false, error: 'Service worker connection failed' };
+      candidate = candidate.nextElementSibling;
     }
     
+    sender.direction = alignment;
+    return sender;
+    
   } catch (error) {
-    console.error('[IG Reel Tracker] Error initializing content script:', error);
-    return { success: false, error: error.message };
+    log.detection.warn('Error detecting reel sender:', error);
+    return sender;
   }
 }
 
+// =============================================================================
+// REEL METADATA
+// =============================================================================
+
+// Longest caption kept in storage
+const MAX_CAPTION_LENGTH = 300;
+
+// Images this small are avatars, not reel thumbnails
+const MIN_THUMBNAIL_SIZE = 48;
+
+// Instagram handles: letters, digits, dots and underscores, up to 30 characters
+const HANDLE_PATTERN = /^[A-Za-z0-9._]{1,30}$/;
+
+// Duration overlays such as "0:45" or "1:02:10"
+const DURATION_PATTERN = /^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})$/;
+
 /**
- * Set up DOM mutation observer for Instagram content changes
- * Optimized for Phase 2 implementation
+ * Pick the reel's thumbnail from the images in its card
+ * Chooses the largest image, skipping avatars
+ * @param {Element} card - Reel card
+ * @returns {Element|null} Thumbnail image or null
  */
-function setupMutationObserver() {
-  try {
-    console.log('[IG Reel Tracker] Setting up mutation observer...');
-    
-    // Clean up existing observer if any
-    if (mutationObserver) {
-      mutationObserver.disconnect();
-      console.log('[IG Reel Tracker] Disconnected existing mutation observer');
+function findReelThumbnail(card) {
+  let thumbnail = null;
+  let largestArea = 0;
+  
+  card.querySelectorAll('img[src]').forEach(img => {
+    const rect = img.getBoundingClientRect();
+    const width = rect.width || img.naturalWidth;
+    const height = rect.height || img.naturalHeight;
+    if (width < MIN_THUMBNAIL_SIZE || height < MIN_THUMBNAIL_SIZE) {
+      return;
     }
     
-    // Observer configuration
-    const observerConfig = {
-      childList: true,
-      subtree: true,
-      attributes: false,
-      characterData: false
-    };
-    
-    // Create observer instance
-    const observer = new MutationObserver((mutations) => {
-      handleDOMChanges(mutations);
-    });
-    
-    // Smart observer targeting - only observe the messages container, not entire body
-    const messagesContainer = document.querySelector('[role="main"]') || 
-                             document.querySelector('[data-testid="conversation-list"]') ||
-                             document.querySelector('.conversation-container');
-    
-    if (messagesContainer) {
-      observer.observe(messagesContainer, observerConfig);
-      mutationObserver = observer;
-      console.log('[IG Reel Tracker] Observing messages container only');
-    } else {
-      // Fallback to body but with filtering
-      observer.observe(document.body, observerConfig);
-      mutationObserver = observer;
-      console.log('[IG Reel Tracker] Fallback: observing body with filtering');
+    if (width * height > largestArea) {
+      largestArea = width * height;
+      thumbnail = img;
+    }
+  });
+  
+  return thumbnail;
+}
+
+/**
+ * Find the reel creator's handle in its card
+ * Uses profile links first, then avatar alt text, then a handle-shaped text line
+ * @param {Element} card - Reel card
+ * @param {Array} textLines - Text lines in the card
+ * @returns {string|null} Handle without the "@" or null
+ */
+function findReelAuthorHandle(card, textLines) {
+  for (const link of card.querySelectorAll('a[href^="/"]')) {
+    const profileMatch = link.getAttribute('href').match(/^\/([A-Za-z0-9._]+)\/?$/);
+    if (profileMatch && profileMatch[1] !== 'direct') {
+      return profileMatch[1];
+    }
+  }
+  
+  for (const img of card.querySelectorAll('img[alt]')) {
+    const altMatch = img.alt.match(/^([A-Za-z0-9._]{1,30})['’]s profile picture$/i);
+    if (altMatch) {
+      return altMatch[1];
+    }
+  }
+  
+  const handleLine = textLines.find(line => HANDLE_PATTERN.test(line.replace(/^@/, '')) && /[A-Za-z]/.test(line));
+  return handleLine ? handleLine.replace(/^@/, '') : null;
+}
+
+/**
+ * Convert a duration overlay like "1:05" to seconds
+ * @param {string} text - Overlay text
+ * @returns {number|null} Duration in seconds or null if the text is not a duration
+ */
+function parseDurationText(text) {
+  const match = (text || '').trim().match(DURATION_PATTERN);
+  if (!match) {
+    return null;
+  }
+  
+  const hours = match[1] ? parseInt(match[1], 10) : 0;
+  return hours * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+}
+
+/**
+ * Find the reel's duration from its video or the overlay drawn on the thumbnail
+ * Overlay text only counts when it sits on the thumbnail, so message times are not mistaken for it
+ * @param {Element} card - Reel card
+ * @param {Element|null} thumbnail - Thumbnail image
+ * @returns {number|null} Duration in seconds or null
+ */
+function findReelDuration(card, thumbnail) {
+  const video = card.querySelector('video');
+  if (video && isFinite(video.duration) && video.duration > 0) {
+    return Math.round(video.duration);
+  }
+  
+  if (!thumbnail) {
+    return null;
+  }
+  
+  const thumbRect = thumbnail.getBoundingClientRect();
+  for (const element of card.querySelectorAll('span, div')) {
+    if (element.children.length > 0) {
+      continue;
     }
     
-    console.log('[IG Reel Tracker] Mutation observer started successfully');
+    const seconds = parseDurationText(element.textContent);
+    if (seconds === null) {
+      continue;
+    }
     
-  } catch (error) {
-    console.error('[IG Reel Tracker] Error setting up mutation observer:', error);
+    const rect = element.getBoundingClientRect();
+    const onThumbnail = rect.left >= thumbRect.left && rect.right <= thumbRect.right &&
+                        rect.top >= thumbRect.top && rect.bottom <= thumbRect.bottom;
+    if (onThumbnail && thumbRect.width > 0) {
+      return seconds;
+    }
   }
+  
+  return null;
 }
 
 /**
- * Scan for new reels and process them
- * Prevents reprocessing of already detected reels
+ * Find the shared reel card around a reel element
+ * The message row also holds the sender's avatar link, which is not the reel's author,
+ * so the card stops at the clickable share preview
+ * @param {Element} reelElement - The reel DOM element
+ * @returns {Element} The share preview, or the reel element if none wraps it
  */
-function scanForNewReels() {
+function findReelCard(reelElement) {
+  return reelElement.closest('[role="button"]') || reelElement.closest('a[href]') || reelElement;
+}
+
+/**
+ * Extract the preview details Instagram shows on a shared reel card
+ * @param {Element} card - Reel card from findReelCard
+ * @returns {Object} Caption, author handle, thumbnail URL and duration, each null when not shown
+ */
+function extractReelMetadata(card) {
+  const metadata = { caption: null, authorHandle: null, thumbnailUrl: null, durationSeconds: null };
+  
   try {
-    console.log('[IG Reel Tracker] Scanning for new reels...');
-    
-    const newReels = detectReelsInConversation();
-    const newReelData = [];
+    if (!card) {
+      return metadata;
+    }
     
-    newReels.forEach(reelElement => {
-      // Validate element first
-      if (!validateReelElement(reelElement)) {
-        return;
-      }
-      
-      const reelId = extractReelId(reelElement);
-      
-      if (reelId && !processedReels.has(reelId)) {
-        processedReels.add(reelId);
-        const reelData = extractReelData(reelElement);
-        if (reelData) {
-          newReelData.push(reelData);
-        }
+    // Visible text lines, excluding message times
+    const textLines = [];
+    const walker = document.createTreeWalker(card, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const textNode = walker.currentNode;
+      const text = textNode.nodeValue.replace(/\s+/g, ' ').trim();
+      if (text && (!textNode.parentElement || !textNode.parentElement.closest('time'))) {
+        textLines.push(text);
       }
-    });
+    }
     
-    if (newReelData.length > 0) {
-      console.log(`[IG Reel Tracker] Found ${newReelData.length} new reels`);
-      // Store new reels in extension storage
-      chrome.storage.local.get(['detectedReels'], (result) => {
-        const existingReels = result.detectedReels || [];
-        const updatedReels = [...existingReels, ...newReelData];
-        chrome.storage.local.set({ 
-          detectedReels: updatedReels,
-          lastDetectionTime: Date.now()
-        });
-      });
-    } else {
-      console.log('[IG Reel Tracker] No new reels found during scan');
+    const thumbnail = findReelThumbnail(card);
+    const video = card.querySelector('video[poster]');
+    metadata.thumbnailUrl = thumbnail ? thumbnail.src : (video ? video.poster : null);
+    metadata.authorHandle = findReelAuthorHandle(card, textLines);
+    metadata.durationSeconds = findReelDuration(card, thumbnail);
+    
+    // The caption is the longest line that is not the handle, a duration or a time
+    const captionLine = textLines
+      .filter(line => line.replace(/^@/, '') !== metadata.authorHandle)
+      .filter(line => parseDurationText(line) === null && !parseMessageTime(line))
+      .sort((a, b) => b.length - a.length)[0];
+    if (captionLine) {
+      metadata.caption = captionLine.length > MAX_CAPTION_LENGTH
+        ? `${captionLine.slice(0, MAX_CAPTION_LENGTH - 1)}…`
+        : captionLine;
     }
     
+    return metadata;
+    
   } catch (error) {
-    console.error('[IG Reel Tracker] Error scanning for new reels:', error);
+    log.detection.warn('Error extracting reel metadata:', error);
+    return metadata;
   }
 }
 
 /**
- * Detect emoji reactions for Instagram reel containers
- * Checks for SVG icons, Unicode emojis, and reaction container elements
- * @param {Element} reelElement - The reel DOM element
- * @returns {Object} Reaction data with hasReaction and reactionType
+ * Detect if message has emoji reactions (improved for message bubbles)
+ * @param {Element} messageContainer - The message container element
+ * @returns {boolean} True if emoji reactions are present
  */
-function detectReelReactions(reelElement) {
+function detectEmojiReactions(messageContainer) {
   try {
-    console.log('[IG Reel Tracker] Detecting reactions for reel element...');
-    
-    // Defensive null check
-    if (!reelElement) {
-      console.warn('[IG Reel Tracker] Null reel element provided for reaction detection');
-      return { hasReaction: false, reactionType: null };
-    }
+    log.detection.trace('Checking for emoji reactions in message bubble and surrounding areas');
     
-    // Find the message container that contains this reel
-    const messageContainer = findMessageContainer(reelElement);
     if (!messageContainer) {
-      console.log('[IG Reel Tracker] No message container found for reaction detection');
-      return { hasReaction: false, reactionType: null };
+      log.detection.warn('No message container provided for reaction detection');
+      return false;
     }
     
-    console.log('[IG Reel Tracker] Searching for reactions in message container and surrounding areas...');
-    
-    // Multiple location strategies for reaction detection
+    // Multiple search areas (message bubble + siblings)
     const searchAreas = [
-      messageContainer, // Primary container
-      messageContainer.parentElement, // Parent container
+      messageContainer,                    // The message itself
+      messageContainer.parentElement,      // Parent container
       messageContainer.nextElementSibling, // Next sibling (reactions often appear after)
-      messageContainer.previousElementSibling, // Previous sibling
+      messageContainer.previousElementSibling // Previous sibling
     ].filter(Boolean); // Remove null elements
     
-    // Instagram reaction patterns to search for
+    // Instagram reaction patterns for DM messages
     const reactionSelectors = [
-      // SVG-based reactions
-      'svg[aria-label*="reaction" i]',
+      // Heart icons (both SVG and emoji)
       'svg[aria-label*="heart" i]',
       'svg[aria-label*="like" i]',
-      'svg[aria-label*="love" i]',
-      'svg[aria-label*="laugh" i]',
-      'svg[aria-label*="wow" i]',
-      'svg[aria-label*="angry" i]',
-      'svg[aria-label*="sad" i]',
-      
-      // Reaction container elements
-      '[data-testid*="reaction"]',
-      '[aria-label*="reaction" i]',
-      '.reaction-button',
-      '.reaction-pill',
-      '.message-reaction',
-      
-      // Emoji-based reactions (span with role="img")
-      'span[role="img"][aria-label*="heart" i]',
-      'span[role="img"][aria-label*="laugh" i]',
-      'span[role="img"][aria-label*="wow" i]',
-      'span[role="img"][aria-label*="angry" i]',
-      'span[role="img"][aria-label*="sad" i]',
-      'span[role="img"][aria-label*="like" i]',
+      '[data-testid*="heart"]',
       
-      // Generic emoji containers
+      // Emoji reactions
       'span[role="img"]',
       '[class*="emoji"]',
-      '[class*="reaction"]'
+      '[class*="reaction"]',
+      
+      // Text indicators
+      '[aria-label*="liked" i]',
+      '[title*="liked" i]',
+      
+      // Reaction containers
+      '[data-testid*="reaction"]',
+      '.reaction-button',
+      '.message-reaction'
     ];
     
-    // Common emoji Unicode patterns for Instagram reactions
+    // Common emoji patterns in text content
     const emojiPatterns = [
-      /❤️|♥️|💖|💕|💗/g, // Heart variants
-      /😂|🤣|😆|😄/g, // Laugh variants  
-      /😮|😯|😲|🤯/g, // Wow/surprise variants
-      /😡|😠|🤬/g, // Angry variants
-      /😢|😭|😔|☹️/g, // Sad variants
-      /👍|👏|🙌/g, // Like/approval variants
-      /🔥|💯|✨/g // Fire/100/sparkle variants
-    ];
-    
-    const reactionTypes = [
-      'heart', 'laugh', 'wow', 'angry', 'sad', 'like', 'fire'
+      /❤️|♥️|💖|💕|💗/, // Hearts
+      /👍|👏|🙌/,        // Likes
+      /😂|🤣|😆/,        // Laughs
+      /🔥|💯|✨/         // Fire/100/sparkle
     ];
     
     // Search each area for reactions
     for (const area of searchAreas) {
-      console.log(`[IG Reel Tracker] Checking area: ${area.tagName}${area.className ? '.' + area.className : ''}`);
-      
-      // Check for reaction selector patterns
-      for (const selector of reactionSelectors) {
-        try {
+      try {
+        // Check for reaction elements
+        for (const selector of reactionSelectors) {
           const reactionElements = area.querySelectorAll(selector);
           if (reactionElements.length > 0) {
-            console.log(`[IG Reel Tracker] Found ${reactionElements.length} reaction elements with selector: ${selector}`);
-            
-            // Try to determine reaction type from aria-label or content
-            for (const reactionEl of reactionElements) {
-              const ariaLabel = reactionEl.getAttribute('aria-label') || '';
-              const textContent = reactionEl.textContent || '';
-              
-              console.log(`[IG Reel Tracker] Reaction element aria-label: "${ariaLabel}", content: "${textContent}"`);
-              
-              // Match reaction type
-              const detectedType = determineReactionType(ariaLabel + ' ' + textContent);
-              if (detectedType) {
-                console.log(`[IG Reel Tracker] Detected reaction type: ${detectedType}`);
-                return { hasReaction: true, reactionType: detectedType };
-              }
-            }
-            
-            // If we found reaction elements but couldn't determine type
-            console.log('[IG Reel Tracker] Found reactions but could not determine specific type');
-            return { hasReaction: true, reactionType: 'unknown' };
+            log.detection.trace(`Found reaction elements with selector: ${selector}`);
+            return true;
           }
-        } catch (selectorError) {
-          console.warn(`[IG Reel Tracker] Reaction selector failed: ${selector}`, selectorError);
-          continue;
         }
-      }
-      
-      // Check for Unicode emoji patterns in text content
-      const areaText = area.textContent || '';
-      for (let i = 0; i < emojiPatterns.length; i++) {
-        const pattern = emojiPatterns[i];
-        const matches = areaText.match(pattern);
-        if (matches && matches.length > 0) {
-          const detectedType = reactionTypes[i];
-          console.log(`[IG Reel Tracker] Found emoji reactions: ${matches.join(', ')} - Type: ${detectedType}`);
-          return { hasReaction: true, reactionType: detectedType };
+        
+        // Check for emoji patterns in text content
+        const textContent = area.textContent || '';
+        for (const pattern of emojiPatterns) {
+          if (pattern.test(textContent)) {
+            log.detection.trace('Found emoji reaction in text content');
+            return true;
+          }
         }
+        
+        // Check for small overlaid elements on message bubbles (reaction indicators)
+        const smallElements = area.querySelectorAll('div, span');
+        for (const element of smallElements) {
+          const rect = element.getBoundingClientRect();
+          if (rect.width > 10 && rect.width < 40 && rect.height > 10 && rect.height < 40) {
+            const hasReactionContent = element.textContent && 
+                                      (element.textContent.includes('❤') ||
+                                       element.textContent.includes('👍') ||
+                                       element.textContent.includes('Liked'));
+            if (hasReactionContent) {
+              log.detection.trace('Found small reaction indicator element');
+              return true;
+            }
+          }
+        }
+        
+      } catch (areaError) {
+        log.detection.warn('Error checking area for reactions:', areaError);
+        continue;
       }
     }
     
-    // Check for lazy-loaded reactions by looking for reaction count indicators
-    for (const area of searchAreas) {
-      const reactionCounts = area.querySelectorAll('[class*="reaction-count"], [class*="emoji-count"], [aria-label*="reaction" i]');
-      if (reactionCounts.length > 0) {
-        console.log(`[IG Reel Tracker] Found reaction count indicators, likely lazy-loaded reactions`);
-        return { hasReaction: true, reactionType: 'lazy-loaded' };
-      }
-    }
-    
-    console.log('[IG Reel Tracker] No reactions detected for this reel');
-    return { hasReaction: false, reactionType: null };
+    log.detection.trace('No reactions detected in any search area');
+    return false;
     
   } catch (error) {
-    console.error('[IG Reel Tracker] Error detecting reel reactions:', error);
-    return { hasReaction: false, reactionType: null };
+    log.detection.error('Error detecting emoji reactions:', error);
+    return false;
   }
 }
 
 /**
- * Determine reaction type from text content or aria labels
- * @param {string} text - Text to analyze
- * @returns {string|null} Detected reaction type or null
+ * Log a summary of the detected reel messages at debug level
+ * @param {Array} reelMessages - Array of reel message objects
  */
-function determineReactionType(text) {
-  const lowerText = text.toLowerCase();
-  
-  // Heart/like patterns
-  if (lowerText.includes('heart') || lowerText.includes('love') || lowerText.includes('like')) {
-    return 'heart';
-  }
-  
-  // Laugh patterns
-  if (lowerText.includes('laugh') || lowerText.includes('funny') || lowerText.includes('haha')) {
-    return 'laugh';
-  }
-  
-  // Wow/surprise patterns
-  if (lowerText.includes('wow') || lowerText.includes('surprise') || lowerText.includes('amazing')) {
-    return 'wow';
-  }
-  
-  // Angry patterns
-  if (lowerText.includes('angry') || lowerText.includes('mad') || lowerText.includes('upset')) {
-    return 'angry';
-  }
-  
-  // Sad patterns
-  if (lowerText.includes('sad') || lowerText.includes('cry') || lowerText.includes('tear')) {
-    return 'sad';
+function logReelMessages(reelMessages) {
+  if (!isLogEnabled(LOG_NAMESPACES.DETECTION, 'debug')) {
+    return;
   }
   
-  // Fire/lit patterns
-  if (lowerText.includes('fire') || lowerText.includes('lit') || lowerText.includes('100')) {
-    return 'fire';
+  if (reelMessages.length === 0) {
+    log.detection.debug('Reel summary: no reel messages found in current conversation');
+    return;
   }
   
-  return null;
+  log.detection.debug(`Reel summary: ${reelMessages.length} reel message(s)`);
+  reelMessages.forEach((reel, index) => {
+    log.detection.debug(
+      `${index + 1}. Reel ${reel.reelId} | URL: ${reel.reelUrl} | ` +
+      `Detected: ${new Date(reel.timestamp).toLocaleString()} | Reactions: ${reel.hasReaction ? 'yes' : 'no'}`
+    );
+  });
 }
 
 /**
- * Extract reel ID from DOM element structure
- * Checks data attributes, URL parameters, and element properties
- * @param {Element} reelElement - The reel DOM element
- * @returns {string|null} Extracted reel ID or null if not found
+ * Main function to detect and log all reels in the conversation
+ * @returns {Array} Array of detected reel messages
  */
-function extractReelIdFromDOMElement(reelElement) {
+function detectAndLogReels() {
   try {
-    console.log('[IG Reel Tracker] Extracting reel ID from DOM element:', reelElement);
-    
-    // Defensive null check
-    if (!reelElement) {
-      console.warn('[IG Reel Tracker] Null reel element provided');
-      return null;
-    }
-    
-    // Strategy 1: Check data attributes
-    const dataAttributes = [
-      'data-reel-id',
-      'data-video-id', 
-      'data-media-id',
-      'data-id',
-      'data-testid',
-      'data-story-id'
-    ];
+    log.detection.debug('Starting reel detection process...');
     
-    for (const attr of dataAttributes) {
-      const value = reelElement.getAttribute(attr);
-      if (value && value.length > 0) {
-        console.log(`[IG Reel Tracker] Found reel ID in ${attr}: ${value}`);
-        return value;
-      }
+    if (!isInstagramDMPage()) {
+      log.detection.debug('Not on Instagram DM page, skipping reel detection');
+      return [];
     }
     
-    // Strategy 2: Check src/href URLs for reel IDs
-    const urlAttributes = ['src', 'href', 'data-src', 'poster'];
-    for (const attr of urlAttributes) {
-      const url = reelElement.getAttribute(attr);
-      if (url) {
-        const reelId = extractReelIdFromUrl(url);
-        if (reelId) {
-          console.log(`[IG Reel Tracker] Found reel ID in ${attr} URL: ${reelId}`);
-          return reelId;
-        }
-      }
-    }
+    // Extract all reel messages
+    const reelMessages = extractReelMessages();
     
-    // Strategy 3: Check parent elements for data attributes
-    let currentElement = reelElement.parentElement;
-    let depth = 0;
-    const maxDepth = 5;
+    // Log summary to console
+    logReelMessages(reelMessages);
     
-    while (currentElement && depth < maxDepth) {
-      for (const attr of dataAttributes) {
-        const value = currentElement.getAttribute(attr);
-        if (value && value.length > 0) {
-          console.log(`[IG Reel Tracker] Found reel ID in parent ${attr}: ${value}`);
-          return value;
-        }
-      }
-      
-      // Check parent URLs
-      for (const attr of urlAttributes) {
-        const url = currentElement.getAttribute(attr);
-        if (url) {
-          const reelId = extractReelIdFromUrl(url);
-          if (reelId) {
-            console.log(`[IG Reel Tracker] Found reel ID in parent ${attr} URL: ${reelId}`);
-            return reelId;
+    // Store reels in extension storage for popup access
+    if (reelMessages.length > 0) {
+      saveReelData(getCurrentConversationId(), reelMessages, extensionSettings.maxStoredReels)
+        .then((savedData) => {
+          log.storage.debug('Stored reel data in extension storage');
+          return notifyServiceWorkerOfUpdate(savedData.conversationId, savedData.reels);
+        })
+        .then(() => {
+          // Rows rendered before the observer started were never queued
+          const messagesContainer = findMessagesContainer();
+          if (messagesContainer) {
+            queueReplyRows(messagesContainer);
           }
-        }
-      }
-      
-      currentElement = currentElement.parentElement;
-      depth++;
+          return scanForReelReplies();
+        })
+        .catch(handleStorageError);
     }
     
-    // Strategy 4: Generate unique ID based on element properties
-    const fallbackId = generateUniqueId(reelElement);
-    console.log(`[IG Reel Tracker] Generated fallback reel ID: ${fallbackId}`);
-    return fallbackId;
+    return reelMessages;
     
   } catch (error) {
-    console.error('[IG Reel Tracker] Error extracting reel ID from DOM element:', error);
-    return generateUniqueId(reelElement);
+    log.detection.error('Error during reel detection:', error);
+    return [];
   }
 }
 
+// Track initialization state
+let isInitialized = false;
+let mutationObserver = null;
+
+// Map to store detected reels and avoid duplicates
+const detectedReelsMap = new Map();
+
+// Conversation the in-memory reel state belongs to
+let activeConversationId = null;
+
+// Debouncing for storage operations, delay from settings.storageDebounceDelay
+let storageDebounceTimer = null;
+
+// Current settings, kept in sync with chrome.storage
+let extensionSettings = normalizeSettings(null);
+
 /**
- * Check available storage quota before writing
- * @returns {Promise<boolean>} True if storage is available
+ * Load extension settings from storage
+ * @returns {Promise<Object>} The loaded settings
  */
-async function checkStorageQuota() {
+async function loadSettings() {
   try {
-    if ('storage' in navigator && 'estimate' in navigator.storage) {
-      const estimate = await navigator.storage.estimate();
-      const usedBytes = estimate.usage || 0;
-      const quotaBytes = estimate.quota || 0;
-      
-      // Check if we're using more than 80% of available storage
-      const usagePercentage = (usedBytes / quotaBytes) * 100;
-      
-      console.log(`[IG Reel Tracker] Storage usage: ${usedBytes} / ${quotaBytes} bytes (${usagePercentage.toFixed(1)}%)`);
-      
-      if (usagePercentage > 80) {
-        console.warn('[IG Reel Tracker] Storage quota approaching limit, skipping save');
-        return false;
-      }
-    }
-    return true;
+    extensionSettings = await getSettings();
+    configureLogger(extensionSettings);
+    log.lifecycle.debug('Settings loaded:', extensionSettings);
   } catch (error) {
-    console.warn('[IG Reel Tracker] Could not check storage quota:', error);
-    return true; // Proceed with storage if quota check fails
+    log.lifecycle.warn('Could not load settings, using defaults:', error);
+    extensionSettings = normalizeSettings(null);
   }
+  return extensionSettings;
 }
 
+// Keep settings current when they are changed from the popup or options page,
+// and start or stop tracking when the extension is switched on or off
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') {
+    return;
+  }
+
+  if (changes.isEnabled) {
+    if (changes.isEnabled.newValue && !isInitialized) {
+      autoInitialize();
+    } else if (!changes.isEnabled.newValue && isInitialized) {
+      log.lifecycle.info('Tracking switched off');
+      suspendTracking();
+      isInitialized = false;
+      updateNavigatorOverlay();
+    }
+  }
+
+  if (changes[SELECTOR_REGISTRY_KEY]) {
+    selectorRegistry = buildSelectorRegistry(changes[SELECTOR_REGISTRY_KEY].newValue);
+    log.lifecycle.info('Selector registry updated');
+  }
+
+  if (activeConversationId && changes[STORAGE_KEY_PREFIX + activeConversationId]) {
+    scheduleNavigatorRefresh();
+  }
+
+  if (!changes[SETTINGS_KEY]) {
+    return;
+  }
+
+  extensionSettings = normalizeSettings(changes[SETTINGS_KEY].newValue);
+  configureLogger(extensionSettings);
+  log.lifecycle.info('Settings updated:', extensionSettings);
+
+  if (isInitialized) {
+    applyAutoMarkSettings();
+  }
+  updateNavigatorOverlay();
+});
+
 /**
- * Persist reel data to chrome.storage.local with debouncing
- * @param {boolean} immediate - Force immediate save without debouncing
+ * Initialize content script
+ * Sets up observers and communicates with service worker
  */
-function persistReelData(immediate = false) {
+async function initializeContentScript() {
   try {
-    console.log('[IG Reel Tracker] Scheduling reel data persistence...');
+    log.lifecycle.info('Content script initializing...');
     
-    // Clear existing timer if not immediate
-    if (storageDebounceTimer && !immediate) {
-      clearTimeout(storageDebounceTimer);
+    if (!isInstagramDMPage()) {
+      log.lifecycle.info('Not on DM page, content script inactive');
+      return { success: false, error: 'Not on Instagram DM page' };
     }
     
-    const saveFunction = async () => {
-      try {
-        console.log('[IG Reel Tracker] Executing reel data persistence...');
-        
-        // Check storage quota before proceeding
-        const hasStorageSpace = await checkStorageQuota();
-        if (!hasStorageSpace) {
-          console.warn('[IG Reel Tracker] Skipping persistence due to storage quota limits');
-          return;
-        }
-        
-        const conversationId = getCurrentConversationId();
-        if (!conversationId) {
-          console.warn('[IG Reel Tracker] No conversation ID available, skipping persistence');
-          return;
-        }
-        
-        // Convert Map to array and clean DOM references for storage
-        const reelsArray = Array.from(detectedReelsMap.values()).map(reel => ({
-          reelId: reel.reelId,
-          timestamp: reel.timestamp,
-          selector: reel.selector,
-          extractionMethod: reel.extractionMethod,
-          hasReaction: reel.hasReaction,
-          reactionType: reel.reactionType,
-          // Remove domElement reference for storage
-          domPath: reel.domElement ? generateDOMPath(reel.domElement) : null
-        }));
-        
-        if (reelsArray.length === 0) {
-          console.log('[IG Reel Tracker] No reels to persist');
-          return;
-        }
+    log.lifecycle.info('Instagram DM page detected, initializing tracking');
+    
+    // Notify service worker that content script is ready
+    const response = await chrome.runtime.sendMessage({
+      action: 'contentScriptReady',
+      url: window.location.href
+    });
+    
+    if (response && response.success) {
+      log.lifecycle.info('Service worker connection established:', response.message);
+      log.lifecycle.debug('Extension enabled:', response.isEnabled);
+      
+      if (response.isEnabled) {
+        await migrateReelStorage();
+        await loadSettings();
+        await loadSelectorRegistry();
+        setupMutationObserver();
+        seedTrackedReels();
+        setupWatchStateTracking();
+        applyAutoMarkSettings();
         
-        // Get existing data for this conversation
-        const storageKey = STORAGE_KEY_PREFIX + conversationId;
-        const existingData = await getStoredReelData(conversationId);
+        // Perform initial reel detection after a short delay
+        setTimeout(() => {
+          log.lifecycle.info('Performing initial reel detection...');
+          detectAndLogReels();
+        }, 2000);
         
-        // Merge new reels with existing data
-        const mergedReels = mergeReelData(existingData.reels || [], reelsArray);
-        
-        // Limit to MAX_REELS_STORAGE most recent reels
-        const limitedReels = limitReelStorage(mergedReels);
-        
-        // Create storage structure
-        const storageData = {
-          conversationId: conversationId,
-          reels: limitedReels,
-          lastUpdated: Date.now()
-        };
-        
-        // Save to chrome.storage.local
-        await new Promise((resolve, reject) => {
-          chrome.storage.local.set({ [storageKey]: storageData }, () => {
-            if (chrome.runtime.lastError) {
-              reject(chrome.runtime.lastError);
-            } else {
-              resolve();
-            }
-          });
-        });
-        
-        console.log(`[IG Reel Tracker] Successfully persisted ${limitedReels.length} reels for conversation ${conversationId}`);
-        
-        // Send update message to service worker
-        await notifyServiceWorkerOfUpdate(conversationId, limitedReels.length);
-        
-      } catch (error) {
-        console.error('[IG Reel Tracker] Error persisting reel data:', error);
-        handleStorageError(error);
+        // Read the thread last so a route change during setup is not missed
+        activeConversationId = getCurrentConversationId();
+        isInitialized = true;
+        updateNavigatorOverlay();
+        return { success: true, message: 'Extension initialized successfully' };
+      } else {
+        return { success: false, error: 'Extension is disabled' };
       }
-    };
-    
-    if (immediate) {
-      saveFunction();
     } else {
-      storageDebounceTimer = setTimeout(saveFunction, STORAGE_DEBOUNCE_DELAY);
+      log.lifecycle.error('Failed to connect to service worker:', response);
+      return { success: false, error: 'Service worker connection failed' };
     }
     
   } catch (error) {
-    console.error('[IG Reel Tracker] Error scheduling reel data persistence:', error);
+    log.lifecycle.error('Error initializing content script:', error);
+    return { success: false, error: error.message };
   }
 }
 
+// In-flight initialization, shared by automatic and manual requests
+let pendingInitialization = null;
+
+// Error from the last failed initialization, reported to the popup
+let initializationError = null;
+
 /**
- * Get stored reel data for a conversation
- * @param {string} conversationId - The conversation ID
- * @returns {Promise<Object>} Stored reel data
+ * Initialize unless already initialized or initializing
+ * @returns {Promise<Object>} Initialization result
  */
-async function getStoredReelData(conversationId) {
-  try {
-    const storageKey = STORAGE_KEY_PREFIX + conversationId;
-    
-    return new Promise((resolve) => {
-      chrome.storage.local.get([storageKey], (result) => {
-        if (chrome.runtime.lastError) {
-          console.warn('[IG Reel Tracker] Error getting stored data:', chrome.runtime.lastError);
-          resolve({ reels: [], lastUpdated: null });
-        } else {
-          resolve(result[storageKey] || { reels: [], lastUpdated: null });
-        }
+function initializeOnce() {
+  if (isInitialized) {
+    return Promise.resolve({ success: true, message: 'Extension already initialized' });
+  }
+
+  if (!pendingInitialization) {
+    pendingInitialization = initializeContentScript()
+      .then(result => {
+        initializationError = result.success ? null : result.error;
+        return result;
+      })
+      .finally(() => {
+        pendingInitialization = null;
       });
-    });
-  } catch (error) {
-    console.error('[IG Reel Tracker] Error getting stored reel data:', error);
-    return { reels: [], lastUpdated: null };
   }
+
+  return pendingInitialization;
 }
 
 /**
- * Merge new reel data with existing stored data
- * @param {Array} existingReels - Previously stored reels
- * @param {Array} newReels - Newly detected reels
- * @returns {Array} Merged reel array
+ * Initialize on DM pages unless the user opted out of auto-initialization
+ * With autoInit off, tracking waits for "Begin Initialization" in the popup
  */
-function mergeReelData(existingReels, newReels) {
-  try {
-    console.log(`[IG Reel Tracker] Merging ${newReels.length} new reels with ${existingReels.length} existing reels`);
-    
-    // Create a Map of existing reels by reelId for fast lookups
-    const existingReelsMap = new Map();
-    existingReels.forEach(reel => {
-      existingReelsMap.set(reel.reelId, reel);
-    });
-    
-    // Add new reels, updating existing ones if found
-    newReels.forEach(newReel => {
-      const existingReel = existingReelsMap.get(newReel.reelId);
-      if (existingReel) {
-        // Update existing reel with new reaction data if available
-        existingReel.hasReaction = newReel.hasReaction;
-        existingReel.reactionType = newReel.reactionType;
-        existingReel.lastUpdated = newReel.timestamp;
-        console.log(`[IG Reel Tracker] Updated existing reel: ${newReel.reelId}`);
-      } else {
-        // Add new reel
-        existingReelsMap.set(newReel.reelId, newReel);
-        console.log(`[IG Reel Tracker] Added new reel: ${newReel.reelId}`);
-      }
-    });
-    
-    // Convert back to array and sort by timestamp (newest first)
-    const mergedArray = Array.from(existingReelsMap.values())
-      .sort((a, b) => b.timestamp - a.timestamp);
-    
-    console.log(`[IG Reel Tracker] Merge complete: ${mergedArray.length} total reels`);
-    return mergedArray;
-    
-  } catch (error) {
-    console.error('[IG Reel Tracker] Error merging reel data:', error);
-    return newReels; // Return new reels as fallback
+async function autoInitialize() {
+  if (!isInstagramDMPage()) {
+    return;
+  }
+
+  const settings = await loadSettings();
+  if (!settings.autoInit) {
+    log.lifecycle.info('Auto-initialization off - waiting for initialization request');
+    return;
+  }
+
+  log.lifecycle.info('Auto-initializing...');
+  const result = await initializeOnce();
+  if (!result.success) {
+    log.lifecycle.warn('Auto-initialization failed:', result.error);
   }
 }
 
 /**
- * Limit reel storage to prevent overflow
- * @param {Array} reels - Array of reel objects
- * @returns {Array} Limited reel array
+ * Set up DOM mutation observer for Instagram content changes
+ * Optimized for Phase 2 implementation
  */
-function limitReelStorage(reels) {
+function setupMutationObserver() {
   try {
-    if (reels.length <= MAX_REELS_STORAGE) {
-      return reels;
+    log.detection.debug('Setting up mutation observer...');
+    
+    // Clean up existing observer if any
+    if (mutationObserver) {
+      mutationObserver.disconnect();
+      log.detection.debug('Disconnected existing mutation observer');
     }
     
-    console.log(`[IG Reel Tracker] Limiting storage from ${reels.length} to ${MAX_REELS_STORAGE} reels`);
+    // Observer configuration
+    const observerConfig = {
+      childList: true,
+      subtree: true,
+      attributes: false,
+      characterData: false
+    };
+    
+    // Create observer instance
+    const observer = new MutationObserver((mutations) => {
+      handleDOMChanges(mutations);
+    });
+    
+    // Smart observer targeting - only observe the messages container, not entire body
+    const messagesContainer = document.querySelector('[role="main"]') || 
+                             document.querySelector('[data-testid="conversation-list"]') ||
+                             document.querySelector('.conversation-container');
+    
+    if (messagesContainer) {
+      observer.observe(messagesContainer, observerConfig);
+      mutationObserver = observer;
+      log.detection.debug('Observing messages container only');
+    } else {
+      // Fallback to body but with filtering
+      observer.observe(document.body, observerConfig);
+      mutationObserver = observer;
+      log.detection.debug('Fallback: observing body with filtering');
+    }
+    
+    log.detection.info('Mutation observer started successfully');
     
-    // Keep only the most recent MAX_REELS_STORAGE reels
-    return reels
-      .sort((a, b) => b.timestamp - a.timestamp)
-      .slice(0, MAX_REELS_STORAGE);
-      
   } catch (error) {
-    console.error('[IG Reel Tracker] Error limiting reel storage:', error);
-    return reels.slice(0, MAX_REELS_STORAGE); // Fallback to simple slice
+    log.detection.error('Error setting up mutation observer:', error);
   }
 }
 
 /**
- * Send update message to service worker with reel count
- * @param {string} conversationId - The conversation ID
- * @param {number} reelCount - Number of reels detected
+ * Scan for new reels and process them
+ * Prevents reprocessing of already detected reels
+ * @returns {Array} Data for the reels first seen in this scan
  */
-async function notifyServiceWorkerOfUpdate(conversationId, reelCount) {
+function scanForNewReels() {
   try {
-    console.log(`[IG Reel Tracker] Notifying service worker of ${reelCount} reels in conversation ${conversationId}`);
+    log.detection.debug('Scanning for new reels...');
     
-    const updateMessage = {
-      action: 'reelDataUpdated',
-      data: {
-        conversationId: conversationId,
-        reelCount: reelCount,
-        timestamp: Date.now(),
-        url: window.location.href
-      }
-    };
+    const newReels = detectReelsInConversation();
+    const newReelData = [];
     
-    chrome.runtime.sendMessage(updateMessage, (response) => {
-      if (chrome.runtime.lastError) {
-        console.warn('[IG Reel Tracker] Error sending update to service worker:', chrome.runtime.lastError);
-      } else {
-        console.log('[IG Reel Tracker] Service worker notified successfully:', response);
+    newReels.forEach(reelElement => {
+      // processReelElement returns reels tracked before too; only a growing map means a new one
+      const trackedCount = detectedReelsMap.size;
+      const reelData = processReelElement(reelElement, null, 'DOM_SCAN');
+      if (reelData && detectedReelsMap.size > trackedCount) {
+        newReelData.push(reelData);
       }
     });
     
+    if (newReelData.length > 0) {
+      // processReelElement has scheduled the save
+      log.detection.info(`Found ${newReelData.length} new reels`);
+    } else {
+      log.detection.debug('No new reels found during scan');
+    }
+    
+    return newReelData;
+    
   } catch (error) {
-    console.error('[IG Reel Tracker] Error notifying service worker:', error);
+    log.detection.error('Error scanning for new reels:', error);
+    return [];
   }
 }
 
+// Emoji shown for each legacy reaction type, for reactions drawn as icons
+const REACTION_TYPE_EMOJI = {
+  heart: '❤️',
+  laugh: '😂',
+  wow: '😮',
+  angry: '😡',
+  sad: '😢',
+  like: '👍',
+  fire: '🔥'
+};
+
+// Emoji groups for each legacy reaction type
+const REACTION_TYPE_PATTERNS = {
+  heart: /❤️|♥️|💖|💕|💗|😍/,
+  laugh: /😂|🤣|😆|😄/,
+  wow: /😮|😯|😲|🤯/,
+  angry: /😡|😠|🤬/,
+  sad: /😢|😭|😔|☹️/,
+  like: /👍|👏|🙌/,
+  fire: /🔥|💯|✨/
+};
+
+// One emoji, including variation selectors, skin tones and ZWJ sequences
+const EMOJI_PATTERN = /\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier}|\u200D\p{Extended_Pictographic}\uFE0F?)*/gu;
+
+// Reactor labels on reaction pills, e.g. "jane.doe reacted with ❤️" or "You reacted 😂"
+const REACTOR_LABEL_PATTERN = /^(.+?) reacted(?: with)?\s+(.+?)(?:\s+to\b.*)?$/i;
+
+// How reaction and reply labels name the current user
+const SELF_NAME_PATTERN = /^you$/i;
+
+// Elements that hold a message's reaction pill
+const REACTION_PILL_SELECTORS = [
+  'svg[aria-label*="reaction" i]',
+  'svg[aria-label*="heart" i]',
+  'svg[aria-label*="like" i]',
+  '[data-testid*="reaction"]',
+  '[aria-label*="reaction" i]',
+  '.reaction-button',
+  '.reaction-pill',
+  '.message-reaction',
+  '[class*="reaction"]'
+].join(', ');
+
 /**
- * Handle storage errors gracefully
- * @param {Error} error - The storage error
+ * Map an emoji to one of the legacy reaction types
+ * @param {string} emoji - Reaction emoji
+ * @returns {string|null} Reaction type or null if the emoji has none
  */
-function handleStorageError(error) {
-  try {
-    console.error('[IG Reel Tracker] Storage error details:', error);
-    
-    // Check for specific error types
-    if (error.message && error.message.includes('QUOTA_EXCEEDED')) {
-      console.error('[IG Reel Tracker] Storage quota exceeded - clearing old data');
-      // Could implement cleanup logic here
-    } else if (error.message && error.message.includes('MAX_WRITE_OPERATIONS_PER_MINUTE')) {
-      console.error('[IG Reel Tracker] Too many storage operations - slowing down');
-      // Could implement rate limiting here
-    }
-    
-    // Log error for debugging but don't crash the extension
-    console.warn('[IG Reel Tracker] Continuing operation despite storage error');
-    
-  } catch (handlingError) {
-    console.error('[IG Reel Tracker] Error handling storage error:', handlingError);
+function getReactionTypeForEmoji(emoji) {
+  const type = Object.keys(REACTION_TYPE_PATTERNS).find(key => REACTION_TYPE_PATTERNS[key].test(emoji));
+  return type || null;
+}
+
+/**
+ * Read the emojis from reaction text, falling back to icon labels like "heart"
+ * @param {string} text - Text or label of a reaction element
+ * @returns {Array} Emojis found
+ */
+function extractReactionEmojis(text) {
+  const emojis = text.match(EMOJI_PATTERN);
+  if (emojis) {
+    return Array.from(new Set(emojis));
   }
+  
+  const type = determineReactionType(text);
+  return type && REACTION_TYPE_EMOJI[type] ? [REACTION_TYPE_EMOJI[type]] : [];
 }
 
 /**
- * Handle DOM changes detected by mutation observer
- * Enhanced with reel detection in Instagram DMs
- * @param {MutationRecord[]} mutations - Array of mutation records
+ * Detect emoji reactions for Instagram reel containers
+ * Builds one entry per emoji with its count and, where the DOM labels them, who reacted
+ * @param {Element} reelElement - The reel DOM element
+ * @returns {Object} Reaction data: hasReaction, reactionType, reactions and reactedByMe
  */
-function handleDOMChanges(mutations) {
+function detectReelReactions(reelElement) {
+  const noReaction = { hasReaction: false, reactionType: null, reactions: [], reactedByMe: false };
+  
   try {
-    console.log('[IG Reel Tracker] DOM changes detected:', mutations.length, 'mutations');
+    log.detection.trace('Detecting reactions for reel element...');
     
-    // Filter only relevant mutations
-    const relevantMutations = mutations.filter(mutation => {
-      if (mutation.type !== 'childList') return false;
-      
-      // Only process mutations in message containers
-      const target = mutation.target;
-      return target.matches('[role="main"]') || 
-             target.closest('[role="main"]') ||
-             target.matches('[role="listitem"]');
-    });
+    // Defensive null check
+    if (!reelElement) {
+      log.detection.warn('Null reel element provided for reaction detection');
+      return noReaction;
+    }
     
-    if (relevantMutations.length === 0) return;
+    // Find the message container that contains this reel
+    const messageContainer = findMessageContainer(reelElement);
+    if (!messageContainer) {
+      log.detection.trace('No message container found for reaction detection');
+      return noReaction;
+    }
     
-    // Enhanced reel detection for Instagram DMs
-    console.log('[IG Reel Tracker] Scanning for reels...');
+    // Reactions sit in a pill under the bubble, inside the message's own row;
+    // neighbouring rows are other messages, whose emoji text is not a reaction
+    const searchAreas = [messageContainer.closest('[role="row"]') || messageContainer];
+    const card = reelElement.closest('a[href], [role="button"]') || reelElement;
     
-    // Multiple selector strategies for reel message containers
-    const reelSelectors = [
-      // Video elements with Instagram patterns
-      'video[src*="instagram"]',
-      'video[src*="cdninstagram"]',
-      'video[poster*="instagram"]',
-      
-      // Data attribute selectors
-      '[data-testid*="reel"]',
-      '[data-testid*="video"]',
-      '[data-testid*="story"]',
-      
-      // Aria label selectors
-      '[aria-label*="reel" i]',
-      '[aria-label*="video" i]',
-      '[aria-label*="story" i]',
-      
-      // Structural patterns for video containers
-      'div[role="listitem"] video',
-      'div[role="button"] video',
-      '[role="button"][aria-label*="video" i]',
-      
-      // Instagram-specific patterns
-      'div[style*="aspect-ratio"] video',
-      'div[class*="video"] video',
-      'div[class*="reel"]',
-      
-      // Fallback selectors
-      'video[controls]',
-      'video[autoplay]'
-    ];
+    // Reactions keyed by emoji
+    const reactions = new Map();
+    const getReaction = emoji => {
+      if (!reactions.has(emoji)) {
+        reactions.set(emoji, { emoji, count: 1, reactors: new Set(), mine: false });
+      }
+      return reactions.get(emoji);
+    };
     
-    let foundReels = [];
-    let workingSelector = null;
+    // Labels and pills can match more than one lookup, so each element is read once
+    const seenElements = new Set();
     
-    // Try each selector strategy with defensive null checks
-    for (const selector of reelSelectors) {
-      try {
-        const elements = document.querySelectorAll(selector);
-        if (elements && elements.length > 0) {
-          foundReels = Array.from(elements);
-          workingSelector = selector;
-          console.log(`[IG Reel Tracker] Found ${foundReels.length} reel containers using selector: ${selector}`);
-          break;
+    for (const area of searchAreas) {
+      // Labelled reactors: "<name> reacted with <emoji>"
+      area.querySelectorAll('[aria-label], [title]').forEach(element => {
+        if (seenElements.has(element)) {
+          return;
         }
-      } catch (selectorError) {
-        console.warn(`[IG Reel Tracker] Selector failed: ${selector}`, selectorError);
-        continue;
-      }
-    }
-    
-    if (foundReels.length === 0) {
-      console.log('[IG Reel Tracker] No reel containers found with any strategy');
-    } else {
-      console.log(`[IG Reel Tracker] Found ${foundReels.length} reel containers`);
-      
-      // Process each found reel with validation
-      foundReels.forEach((reelElement, index) => {
-        try {
-          console.log(`[IG Reel Tracker] Processing reel element ${index + 1}/${foundReels.length}`);
-          
-          // Validate element before processing
-          if (!validateReelElement(reelElement)) {
-            console.log(`[IG Reel Tracker] Skipping invalid reel element ${index + 1}`);
-            return;
-          }
-          
-          // Extract reel ID using improved function
-          const reelId = extractReelId(reelElement);
-          
-          if (!reelId) {
-            console.warn(`[IG Reel Tracker] Could not extract reel ID from element ${index + 1}`);
-            return;
-          }
-          
-          // Check if already detected to avoid duplicates
-          if (detectedReelsMap.has(reelId)) {
-            console.log(`[IG Reel Tracker] Reel ${reelId} already detected, skipping`);
-            return;
-          }
-          
-          // Find message container for reaction detection
-          const messageContainer = findMessageContainer(reelElement);
-          if (!messageContainer) {
-            console.warn(`[IG Reel Tracker] No message container found for reel ${reelId}`);
-            return;
-          }
-          
-          // Detect emoji reactions for this reel
-          console.log(`[IG Reel Tracker] Detecting reactions for reel ${reelId}...`);
-          const hasReaction = detectEmojiReactions(messageContainer);
-          console.log(`[IG Reel Tracker] Reaction detection result for ${reelId}: ${hasReaction}`);
-          
-          // Get reel URL if available
-          const reelUrl = reelElement.href || reelElement.getAttribute('href') || null;
-          
-          // Create enhanced reel data structure
-          const reelData = {
-            reelId: reelId,
-            timestamp: Date.now(),
-            domElement: reelElement,
-            selector: workingSelector,
-            extractionMethod: 'DOM_MUTATION',
-            hasReaction: hasReaction,
-            reelUrl: reelUrl
-          };
-          
-          // Store in Map to avoid duplicates
-          detectedReelsMap.set(reelId, reelData);
-          
-          // Enhanced console output
-          if (hasReaction) {
-            console.log(`[IG Reel Tracker] Reel detected: {id: "${reelId}", url: "${reelUrl || 'N/A'}"}`);
-            console.log(`[IG Reel Tracker] Reaction detected: heart emoji found`);
+        
+        const label = (element.getAttribute('aria-label') || element.getAttribute('title') || '').trim();
+        const match = label.match(REACTOR_LABEL_PATTERN);
+        if (!match) {
+          return;
+        }
+        
+        seenElements.add(element);
+        extractReactionEmojis(match[2]).forEach(emoji => {
+          const reaction = getReaction(emoji);
+          if (SELF_NAME_PATTERN.test(match[1].trim())) {
+            reaction.mine = true;
           } else {
-            console.log(`[IG Reel Tracker] Reel detected: {id: "${reelId}", url: "${reelUrl || 'N/A'}"}`);
+            reaction.reactors.add(match[1].trim());
           }
-          
-          // Schedule persistence with debouncing
-          persistReelData();
-          
-        } catch (elementError) {
-          console.error(`[IG Reel Tracker] Error processing reel element ${index + 1}:`, elementError);
+        });
+      });
+      
+      // Reaction pills: emojis with an optional total count, e.g. "❤️😂 3"
+      area.querySelectorAll(REACTION_PILL_SELECTORS).forEach(pill => {
+        if (seenElements.has(pill)) {
+          return;
+        }
+        seenElements.add(pill);
+        
+        const pillText = (pill.textContent || '').trim();
+        const emojis = extractReactionEmojis(`${pill.getAttribute('aria-label') || ''} ${pillText}`);
+        const countMatch = pillText.match(/(\d+)\s*$/);
+        
+        emojis.forEach(emoji => {
+          const reaction = getReaction(emoji);
+          // A count only belongs to a single emoji when the pill shows just one
+          if (countMatch && emojis.length === 1) {
+            reaction.count = Math.max(reaction.count, parseInt(countMatch[1], 10));
+          }
+        });
+      });
+      
+      // Emoji-only text in the row outside the reel card, for pills drawn without labels;
+      // text inside the card may be a caption
+      area.querySelectorAll('span, div').forEach(element => {
+        if (element.children.length > 0 || card.contains(element)) {
+          return;
+        }
+        
+        const text = (element.textContent || '').trim();
+        if (text && text.length <= 20 && text.replace(EMOJI_PATTERN, '').replace(/[\d\s]/g, '') === '') {
+          (text.match(EMOJI_PATTERN) || []).forEach(getReaction);
         }
       });
     }
     
-    // Use throttled detection for additional processing
-    reelDetectionThrottle();
+    const reactionList = Array.from(reactions.values()).map(reaction => ({
+      emoji: reaction.emoji,
+      count: Math.max(reaction.count, reaction.reactors.size + (reaction.mine ? 1 : 0)),
+      reactors: Array.from(reaction.reactors),
+      mine: reaction.mine
+    }));
+    
+    if (reactionList.length > 0) {
+      const reactionType = getReactionTypeForEmoji(reactionList[0].emoji) || 'unknown';
+      log.detection.trace('Detected reactions:', reactionList);
+      return {
+        hasReaction: true,
+        reactionType: reactionType,
+        reactions: reactionList,
+        reactedByMe: reactionList.some(reaction => reaction.mine)
+      };
+    }
+    
+    // Check for lazy-loaded reactions by looking for reaction count indicators
+    for (const area of searchAreas) {
+      const reactionCounts = area.querySelectorAll('[class*="reaction-count"], [class*="emoji-count"], [aria-label*="reaction" i]');
+      if (reactionCounts.length > 0) {
+        log.detection.trace(`Found reaction count indicators, likely lazy-loaded reactions`);
+        return { ...noReaction, hasReaction: true, reactionType: 'lazy-loaded' };
+      }
+    }
+    
+    log.detection.trace('No reactions detected for this reel');
+    return noReaction;
     
   } catch (error) {
-    console.error('[IG Reel Tracker] Error handling DOM changes:', error);
+    log.detection.error('Error detecting reel reactions:', error);
+    return noReaction;
   }
 }
 
 /**
- * Handle messages from popup
- * @param {Object} message - Message object
- * @param {Object} sender - Sender information
- * @param {Function} sendResponse - Response callback
+ * Determine reaction type from text content or aria labels
+ * @param {string} text - Text to analyze
+ * @returns {string|null} Detected reaction type or null
  */
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  try {
-    console.log('[IG Reel Tracker] Content script received message:', message);
-    
-    switch (message.action) {
-      case 'testInjection':
-        sendResponse({ success: true, message: 'Content script active' });
-        break;
-        
-      case 'getPageInfo':
-        handleGetPageInfo(sendResponse);
-        break;
-        
-      case 'refreshTracking':
-        handleRefreshTracking(sendResponse);
-        break;
-        
-      case 'detectReels':
-        handleDetectReels(sendResponse);
-        break;
-        
-      case 'getReelData':
-        handleGetReelData(sendResponse);
-        break;
+function determineReactionType(text) {
+  const lowerText = text.toLowerCase();
+  
+  // Heart/like patterns
+  if (lowerText.includes('heart') || lowerText.includes('love') || lowerText.includes('like')) {
+    return 'heart';
+  }
+  
+  // Laugh patterns
+  if (lowerText.includes('laugh') || lowerText.includes('funny') || lowerText.includes('haha')) {
+    return 'laugh';
+  }
+  
+  // Wow/surprise patterns
+  if (lowerText.includes('wow') || lowerText.includes('surprise') || lowerText.includes('amazing')) {
+    return 'wow';
+  }
+  
+  // Angry patterns
+  if (lowerText.includes('angry') || lowerText.includes('mad') || lowerText.includes('upset')) {
+    return 'angry';
+  }
+  
+  // Sad patterns
+  if (lowerText.includes('sad') || lowerText.includes('cry') || lowerText.includes('tear')) {
+    return 'sad';
+  }
+  
+  // Fire/lit patterns
+  if (lowerText.includes('fire') || lowerText.includes('lit') || lowerText.includes('100')) {
+    return 'fire';
+  }
+  
+  return null;
+}
+
+/**
+ * Extract reel ID from DOM element structure
+ * Checks data attributes, URL parameters, and element properties
+ * @param {Element} reelElement - The reel DOM element
+ * @returns {string|null} Extracted reel ID or null if not found
+ */
+function extractReelIdFromDOMElement(reelElement) {
+  try {
+    log.detection.trace('Extracting reel ID from DOM element:', reelElement);
+    
+    // Defensive null check
+    if (!reelElement) {
+      log.detection.warn('Null reel element provided');
+      return null;
+    }
+    
+    // Strategy 1: Check data attributes
+    const dataAttributes = [
+      'data-reel-id',
+      'data-video-id', 
+      'data-media-id',
+      'data-id',
+      'data-testid',
+      'data-story-id'
+    ];
+    
+    for (const attr of dataAttributes) {
+      const value = reelElement.getAttribute(attr);
+      if (value && value.length > 0) {
+        log.detection.trace(`Found reel ID in ${attr}: ${value}`);
+        return value;
+      }
+    }
+    
+    // Strategy 2: Check src/href URLs for reel IDs
+    const urlAttributes = ['src', 'href', 'data-src', 'poster'];
+    for (const attr of urlAttributes) {
+      const url = reelElement.getAttribute(attr);
+      if (url) {
+        const reelId = extractReelIdFromUrl(url);
+        if (reelId) {
+          log.detection.trace(`Found reel ID in ${attr} URL: ${reelId}`);
+          return reelId;
+        }
+      }
+    }
+    
+    // Strategy 3: Check parent elements for data attributes
+    let currentElement = reelElement.parentElement;
+    let depth = 0;
+    const maxDepth = 5;
+    
+    while (currentElement && depth < maxDepth) {
+      for (const attr of dataAttributes) {
+        const value = currentElement.getAttribute(attr);
+        if (value && value.length > 0) {
+          log.detection.trace(`Found reel ID in parent ${attr}: ${value}`);
+          return value;
+        }
+      }
+      
+      // Check parent URLs
+      for (const attr of urlAttributes) {
+        const url = currentElement.getAttribute(attr);
+        if (url) {
+          const reelId = extractReelIdFromUrl(url);
+          if (reelId) {
+            log.detection.trace(`Found reel ID in parent ${attr} URL: ${reelId}`);
+            return reelId;
+          }
+        }
+      }
+      
+      currentElement = currentElement.parentElement;
+      depth++;
+    }
+    
+    // Strategy 4: Generate unique ID based on element properties
+    const fallbackId = generateUniqueId(reelElement);
+    log.detection.debug(`Generated fallback reel ID: ${fallbackId}`);
+    return fallbackId;
+    
+  } catch (error) {
+    log.detection.error('Error extracting reel ID from DOM element:', error);
+    return generateUniqueId(reelElement);
+  }
+}
+
+/**
+ * Check available storage quota before writing
+ * @returns {Promise<boolean>} True if storage is available
+ */
+async function checkStorageQuota() {
+  try {
+    if ('storage' in navigator && 'estimate' in navigator.storage) {
+      const estimate = await navigator.storage.estimate();
+      const usedBytes = estimate.usage || 0;
+      const quotaBytes = estimate.quota || 0;
+      
+      // Check if we're using more than 80% of available storage
+      const usagePercentage = (usedBytes / quotaBytes) * 100;
+      
+      log.storage.debug(`Storage usage: ${usedBytes} / ${quotaBytes} bytes (${usagePercentage.toFixed(1)}%)`);
+      
+      if (usagePercentage > 80) {
+        log.storage.warn('Storage quota approaching limit, skipping save');
+        return false;
+      }
+    }
+    return true;
+  } catch (error) {
+    log.storage.warn('Could not check storage quota:', error);
+    return true; // Proceed with storage if quota check fails
+  }
+}
+
+/**
+ * Persist reel data to chrome.storage.local with debouncing
+ * @param {boolean} immediate - Force immediate save without debouncing
+ */
+function persistReelData(immediate = false) {
+  try {
+    log.storage.trace('Scheduling reel data persistence...');
+    
+    // Clear existing timer if not immediate
+    if (storageDebounceTimer && !immediate) {
+      clearTimeout(storageDebounceTimer);
+    }
+    
+    const saveFunction = async () => {
+      try {
+        log.storage.debug('Executing reel data persistence...');
+        storageDebounceTimer = null;
         
-      case 'beginInitialization':
-        handleBeginInitialization(sendResponse);
-        break;
+        // Snapshot the tracked thread before any await; a conversation switch
+        // clears detectedReelsMap while the write is still in flight
+        const conversationId = activeConversationId || getCurrentConversationId();
+        if (!conversationId) {
+          log.storage.warn('No conversation ID available, skipping persistence');
+          return;
+        }
         
-      case 'getStatus':
-        handleGetStatus(sendResponse);
-        break;
+        // Convert Map to array; the storage layer drops the domElement reference
+        const reelsArray = Array.from(detectedReelsMap.values()).map(reel => ({
+          ...reel,
+          domPath: reel.domElement ? generateDOMPath(reel.domElement) : reel.domPath
+        }));
         
-      default:
-        console.warn('[IG Reel Tracker] Unknown message action:', message.action);
-        sendResponse({ success: false, error: 'Unknown action' });
+        if (reelsArray.length === 0) {
+          log.storage.debug('No reels to persist');
+          return;
+        }
+        
+        // Check storage quota before proceeding
+        const hasStorageSpace = await checkStorageQuota();
+        if (!hasStorageSpace) {
+          log.storage.warn('Skipping persistence due to storage quota limits');
+          return;
+        }
+        
+        // Merge with this conversation's stored record and save
+        const savedData = await saveReelData(conversationId, reelsArray, extensionSettings.maxStoredReels);
+        
+        log.storage.info(`Successfully persisted ${savedData.reels.length} reels for conversation ${conversationId}`);
+        
+        // Send update message to service worker
+        await notifyServiceWorkerOfUpdate(conversationId, savedData.reels);
+        
+      } catch (error) {
+        log.storage.error('Error persisting reel data:', error);
+        handleStorageError(error);
+      }
+    };
+    
+    if (immediate) {
+      clearTimeout(storageDebounceTimer);
+      saveFunction();
+    } else {
+      storageDebounceTimer = setTimeout(saveFunction, extensionSettings.storageDebounceDelay);
+    }
+    
+  } catch (error) {
+    log.storage.error('Error scheduling reel data persistence:', error);
+  }
+}
+
+/**
+ * Send update message to service worker with reel counts
+ * @param {string} conversationId - The conversation ID
+ * @param {Array} reels - The conversation's stored reels
+ */
+async function notifyServiceWorkerOfUpdate(conversationId, reels) {
+  try {
+    const reelCount = reels.length;
+    log.storage.debug(`Notifying service worker of ${reelCount} reels in conversation ${conversationId}`);
+    
+    const updateMessage = {
+      action: 'reelDataUpdated',
+      data: {
+        conversationId: conversationId,
+        reelCount: reelCount,
+        unwatchedCount: countUnwatchedReels(reels),
+        timestamp: Date.now(),
+        url: window.location.href
+      }
+    };
+    
+    chrome.runtime.sendMessage(updateMessage, (response) => {
+      if (chrome.runtime.lastError) {
+        log.storage.warn('Error sending update to service worker:', chrome.runtime.lastError);
+      } else {
+        log.storage.debug('Service worker notified successfully:', response);
+      }
+    });
+    
+  } catch (error) {
+    log.storage.error('Error notifying service worker:', error);
+  }
+}
+
+/**
+ * Handle storage errors gracefully
+ * @param {Error} error - The storage error
+ */
+function handleStorageError(error) {
+  try {
+    log.storage.error('Storage error details:', error);
+    
+    // Check for specific error types
+    if (error.message && error.message.includes('QUOTA_EXCEEDED')) {
+      log.storage.error('Storage quota exceeded - clearing old data');
+      // Could implement cleanup logic here
+    } else if (error.message && error.message.includes('MAX_WRITE_OPERATIONS_PER_MINUTE')) {
+      log.storage.error('Too many storage operations - slowing down');
+      // Could implement rate limiting here
+    }
+    
+    // Log error for debugging but don't crash the extension
+    log.storage.warn('Continuing operation despite storage error');
+    
+  } catch (handlingError) {
+    log.storage.error('Error handling storage error:', handlingError);
+  }
+}
+
+// =============================================================================
+// MUTATION PROCESSING
+// =============================================================================
+
+// Added subtrees waiting for the next idle period
+const pendingAddedNodes = new Set();
+
+// Handle of the scheduled idle callback, null when none is pending
+let idleProcessingHandle = null;
+
+// Longest a batch may wait for an idle period before it runs anyway
+const IDLE_PROCESSING_TIMEOUT = 1000;
+
+// Subtrees processed when the idle deadline has already passed
+const MAX_NODES_PER_FORCED_BATCH = 50;
+
+// Elements already examined: confirmed reels map to their reel ID, message rows
+// checked for quoted replies map to REPLY_ROW_CHECKED. Rejected candidates stay
+// out, since a card may fail only until its link or image has loaded
+let classifiedNodes = new WeakMap();
+
+const REPLY_ROW_CHECKED = Symbol('replyRowChecked');
+
+// Message rows added since the last reply scan
+const pendingReplyRows = new Set();
+
+// Set when a reel is tracked, so replies quoting untracked reels are retried
+let reelsTrackedSinceReplyScan = false;
+
+// Existing message rows whose content changed, checked for added or removed reactions
+const pendingReactionRows = new Set();
+
+/**
+ * Handle DOM changes detected by mutation observer
+ * Only queues the added subtrees; matching runs in processPendingNodes when the page is idle
+ * @param {MutationRecord[]} mutations - Array of mutation records
+ */
+function handleDOMChanges(mutations) {
+  try {
+    // A thread switch must reset state before the new thread's nodes are processed
+    checkForRouteChange();
+    
+    log.detection.trace('DOM changes detected:', mutations.length, 'mutations');
+    
+    let removedNodes = false;
+    mutations.forEach(mutation => {
+      if (mutation.type !== 'childList') return;
+      
+      // Only process mutations in message containers
+      const target = mutation.target;
+      if (!(target.closest('[role="main"]') || target.matches('[role="listitem"]'))) return;
+      
+      // A change inside an existing row can be a reaction being added or removed
+      const changedRow = target.closest('[role="row"]');
+      if (changedRow) {
+        pendingReactionRows.add(changedRow);
+      }
+      
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          pendingAddedNodes.add(node);
+        }
+      });
+      mutation.removedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          pendingAddedNodes.delete(node);
+          removedNodes = true;
+        }
+      });
+    });
+    
+    if (removedNodes) {
+      releaseDetachedReels();
+    }
+    
+    if (pendingAddedNodes.size > 0 || pendingReactionRows.size > 0) {
+      scheduleIdleProcessing();
+    }
+    
+  } catch (error) {
+    log.detection.error('Error handling DOM changes:', error);
+  }
+}
+
+/**
+ * Run processPendingNodes at the next idle period, unless it is already scheduled
+ */
+function scheduleIdleProcessing() {
+  if (idleProcessingHandle === null) {
+    idleProcessingHandle = requestIdleCallback(processPendingNodes, { timeout: IDLE_PROCESSING_TIMEOUT });
+  }
+}
+
+/**
+ * Drop queued work, e.g. when the conversation changes
+ */
+function clearPendingMutations() {
+  if (idleProcessingHandle !== null) {
+    cancelIdleCallback(idleProcessingHandle);
+    idleProcessingHandle = null;
+  }
+  pendingAddedNodes.clear();
+  pendingReplyRows.clear();
+  pendingReactionRows.clear();
+  unlinkedReplies.clear();
+  classifiedNodes = new WeakMap();
+}
+
+/**
+ * Check whether a reel candidate was confirmed as a reel before
+ * @param {Element} element - Candidate reel element
+ * @returns {boolean} True if the element maps to a reel ID
+ */
+function isClassifiedReelCandidate(element) {
+  return classifiedNodes.has(element) && classifiedNodes.get(element) !== REPLY_ROW_CHECKED;
+}
+
+/**
+ * Queue the message rows in or around an added subtree for the reply scan
+ * Rows checked before are skipped unless the subtree was added inside them
+ * @param {Element} root - Added node
+ */
+function queueReplyRows(root) {
+  const rows = root.matches('[role="row"]') ? [root] : Array.from(root.querySelectorAll('[role="row"]'));
+  rows.forEach(row => {
+    if (classifiedNodes.get(row) !== REPLY_ROW_CHECKED) {
+      pendingReplyRows.add(row);
+    }
+  });
+  
+  const enclosingRow = root.parentElement && root.parentElement.closest('[role="row"]');
+  if (enclosingRow) {
+    pendingReplyRows.add(enclosingRow);
+  }
+}
+
+/**
+ * Look for reels in the queued subtrees while the page is idle
+ * Whatever doesn't fit in this idle period is left for the next one
+ * @param {IdleDeadline} deadline - Time left in this idle period
+ */
+function processPendingNodes(deadline) {
+  idleProcessingHandle = null;
+  
+  try {
+    const reelSelectors = getSelectors(SELECTOR_GROUPS.REELS);
+    if (sessionReelSelector) {
+      reelSelectors.push(sessionReelSelector);
+    }
+    
+    let processed = 0;
+    for (const node of pendingAddedNodes) {
+      const hasTime = deadline.timeRemaining() > 0 || (deadline.didTimeout && processed < MAX_NODES_PER_FORCED_BATCH);
+      if (!hasTime) break;
+      
+      pendingAddedNodes.delete(node);
+      processed++;
+      
+      if (node.isConnected) {
+        processAddedSubtree(node, reelSelectors);
+      }
+    }
+    
+    log.detection.trace(`Processed ${processed} added subtrees, ${pendingAddedNodes.size} left`);
+    
+    pendingReactionRows.forEach(row => {
+      if (row.isConnected) {
+        refreshRowReactions(row);
+      }
+    });
+    pendingReactionRows.clear();
+    
+    if (pendingReplyRows.size > 0 || (reelsTrackedSinceReplyScan && unlinkedReplies.size > 0)) {
+      scanForReelReplies();
+    }
+    
+  } catch (error) {
+    log.detection.error('Error processing added nodes:', error);
+  }
+  
+  if (pendingAddedNodes.size > 0) {
+    scheduleIdleProcessing();
+  }
+}
+
+/**
+ * Find reel elements within one added subtree
+ * @param {Element} root - Added node
+ * @param {Array} reelSelectors - Reel selectors in the order to try them
+ * @returns {Object} Matching elements and the selector that found them
+ */
+function findReelElementsInSubtree(root, reelSelectors) {
+  for (const selector of reelSelectors) {
+    try {
+      const elements = Array.from(root.querySelectorAll(selector));
+      if (root.matches(selector)) {
+        elements.unshift(root);
+      }
+      if (elements.length > 0) {
+        return { elements, selector };
+      }
+    } catch (selectorError) {
+      log.detection.warn(`Selector failed: ${selector}`, selectorError);
+    }
+  }
+  return { elements: [], selector: null };
+}
+
+/**
+ * Detect the reels in one added subtree
+ * Elements seen before are not examined again, only re-attached to their reel
+ * @param {Element} root - Added node
+ * @param {Array} reelSelectors - Reel selectors in the order to try them
+ */
+function processAddedSubtree(root, reelSelectors) {
+  queueReplyRows(root);
+  const { elements, selector } = findReelElementsInSubtree(root, reelSelectors);
+  
+  elements.forEach(reelElement => {
+    try {
+      if (isClassifiedReelCandidate(reelElement)) {
+        const trackedReel = detectedReelsMap.get(classifiedNodes.get(reelElement));
+        if (trackedReel) {
+          attachReelElement(trackedReel, reelElement);
+        }
+        return;
+      }
+      
+      const reelData = processReelElement(reelElement, selector);
+      if (reelData) {
+        classifiedNodes.set(reelElement, reelData.reelId);
+      }
+    } catch (elementError) {
+      log.detection.error('Error processing reel element:', elementError);
+    }
+  });
+}
+
+/**
+ * Point a tracked reel at its rendered element if it has lost its old one
+ * @param {Object} reel - Tracked reel
+ * @param {Element} element - Element now showing the reel
+ */
+function attachReelElement(reel, element) {
+  if (!reel.domElement || !reel.domElement.isConnected) {
+    reel.domElement = element;
+    observeReelDwell(reel);
+  }
+}
+
+/**
+ * Track a reel element found in the page
+ * A reel that was tracked before and re-rendered gets its new element back
+ * @param {Element} reelElement - Candidate reel element
+ * @param {string|null} selector - Selector that matched the element
+ * @param {string} extractionMethod - DOM_MUTATION for added rows, DOM_SCAN for full scans
+ * @returns {Object|null} Tracked reel data, or null if the element is not a reel
+ */
+function processReelElement(reelElement, selector, extractionMethod = 'DOM_MUTATION') {
+  if (!validateReelElement(reelElement)) {
+    log.detection.trace('Skipping invalid reel element');
+    return null;
+  }
+  
+  // Resolve a deterministic reel identity
+  const identity = resolveReelIdentity(reelElement);
+  if (!identity) {
+    log.detection.warn('Could not extract reel ID from element');
+    return null;
+  }
+  
+  const reelId = identity.id;
+  const trackedReel = detectedReelsMap.get(reelId) || findReelByMessageId(extractMessageId(reelElement));
+  if (trackedReel) {
+    attachReelElement(trackedReel, reelElement);
+    log.detection.trace(`Reel ${trackedReel.reelId} already detected, skipping`);
+    return trackedReel;
+  }
+  
+  const reelData = extractReelData(reelElement);
+  if (!reelData) {
+    return null;
+  }
+  
+  reelData.domElement = reelElement;
+  reelData.selector = selector;
+  reelData.extractionMethod = extractionMethod;
+  
+  detectedReelsMap.set(reelId, reelData);
+  reelsTrackedSinceReplyScan = true;
+  recordMessageAnchor(reelData);
+  applyAutoMarkToReel(reelData);
+  
+  log.detection.info(`Reel detected: {id: "${reelId}", url: "${reelData.reelUrl || 'N/A'}"}`);
+  if (reelData.hasReaction) {
+    log.detection.info(`Reaction detected: ${reelData.reactionType}`);
+  }
+  
+  // Schedule persistence with debouncing
+  persistReelData();
+  return reelData;
+}
+
+/**
+ * Track the reels already rendered when observation starts
+ * The mutation pipeline only sees rows added after that
+ */
+function seedTrackedReels() {
+  const messagesContainer = findMessagesContainer();
+  if (!messagesContainer) {
+    return;
+  }
+  
+  const reelSelectors = getSelectors(SELECTOR_GROUPS.REELS);
+  if (sessionReelSelector) {
+    reelSelectors.push(sessionReelSelector);
+  }
+  
+  processAddedSubtree(messagesContainer, reelSelectors);
+  log.detection.debug(`Seeded ${detectedReelsMap.size} tracked reels from the rendered rows`);
+}
+
+/**
+ * Re-read the reactions of the tracked reel in a changed row
+ * Reactions added after detection update the reel and can auto-mark it watched
+ * @param {Element} row - Message row whose content changed
+ */
+function refreshRowReactions(row) {
+  let reel = null;
+  for (const trackedReel of detectedReelsMap.values()) {
+    if (trackedReel.domElement && row.contains(trackedReel.domElement)) {
+      reel = trackedReel;
+      break;
+    }
+  }
+  if (!reel) {
+    return;
+  }
+  
+  const reactionData = detectReelReactions(reel.domElement);
+  if (reactionData.hasReaction === Boolean(reel.hasReaction) &&
+      getReactionSignature(reactionData.reactions) === getReactionSignature(reel.reactions)) {
+    return;
+  }
+  
+  Object.assign(reel, reactionData, { reactionsObservedAt: Date.now() });
+  log.detection.info(`Reactions changed on reel ${reel.reelId}:`, reactionData.reactions);
+  
+  applyAutoMarkToReel(reel);
+  persistReelData();
+}
+
+/**
+ * Let go of reel elements Instagram removed from the page
+ * The reels stay tracked; their element is picked up again if the row is re-rendered
+ */
+function releaseDetachedReels() {
+  detectedReelsMap.forEach(reel => {
+    if (reel.domElement && !reel.domElement.isConnected) {
+      unobserveReelDwell(reel);
+      reel.domElement = null;
+    }
+  });
+}
+
+// =============================================================================
+// REEL ANCHORING
+// =============================================================================
+
+// Message ID → reel ID for the current conversation, so a re-rendered row
+// whose card resolves to a different identity still maps to the same reel
+const messageIdIndex = new Map();
+
+/**
+ * Remember which reel a message ID belongs to
+ * @param {Object} reel - Tracked reel
+ */
+function recordMessageAnchor(reel) {
+  if (reel.messageId) {
+    messageIdIndex.set(reel.messageId, reel.reelId);
+  }
+}
+
+/**
+ * Look up the tracked reel a message ID belongs to
+ * @param {string|null} messageId - Message ID from extractMessageId
+ * @returns {Object|null} Tracked reel or null if the message is unknown
+ */
+function findReelByMessageId(messageId) {
+  if (!messageId || !messageIdIndex.has(messageId)) {
+    return null;
+  }
+  return detectedReelsMap.get(messageIdIndex.get(messageId)) || null;
+}
+
+/**
+ * Check whether a rendered element shows a given reel
+ * Uses the mutation classification when the element was seen before
+ * @param {Element} element - Candidate reel element
+ * @param {string} reelId - Reel ID to match
+ * @returns {boolean} True if the element resolves to the reel
+ */
+function elementShowsReel(element, reelId) {
+  if (isClassifiedReelCandidate(element)) {
+    return classifiedNodes.get(element) === reelId;
+  }
+  const identity = resolveReelIdentity(element);
+  return Boolean(identity && identity.id === reelId);
+}
+
+/**
+ * Find the row rendered for a message ID
+ * @param {Element|Document} searchRoot - Element to search within
+ * @param {string} messageId - Message ID from extractMessageId
+ * @returns {Element|null} Row element or null if it is not rendered
+ */
+function findMessageRow(searchRoot, messageId) {
+  const escapedId = CSS.escape(messageId);
+  for (const attribute of MESSAGE_ID_ATTRIBUTES) {
+    const row = searchRoot.querySelector(`[${attribute}="${escapedId}"]`);
+    if (row) {
+      return row;
+    }
+  }
+  return searchRoot.querySelector(`#${escapedId}`);
+}
+
+/**
+ * Map the reel IDs of every rendered reel card to its element
+ * @returns {Map} Reel ID → element, first element wins
+ */
+function indexRenderedReels() {
+  const searchRoot = findMessagesContainer() || document;
+  const reelSelectors = getSelectors(SELECTOR_GROUPS.REELS);
+  if (sessionReelSelector) {
+    reelSelectors.push(sessionReelSelector);
+  }
+  
+  const renderedReels = new Map();
+  findReelElementsInSubtree(searchRoot, reelSelectors).elements.forEach(element => {
+    const identity = isClassifiedReelCandidate(element) ? { id: classifiedNodes.get(element) } : resolveReelIdentity(element);
+    if (identity && identity.id && !renderedReels.has(identity.id)) {
+      renderedReels.set(identity.id, element);
+    }
+  });
+  return renderedReels;
+}
+
+/**
+ * Find the element currently rendered for a reel
+ * Matches the reel link first, then the message row, then the rendered reel cards by identity
+ * @param {Object} reel - Tracked or stored reel entry
+ * @param {Map} [renderedReels] - Index from indexRenderedReels, built on demand if omitted
+ * @returns {Element|null} The reel element or null if it is not rendered
+ */
+function findRenderedReelElement(reel, renderedReels = null) {
+  const searchRoot = findMessagesContainer() || document;
+  
+  if (reel.idTier !== REEL_ID_TIERS.CONTENT_HASH) {
+    const escapedId = CSS.escape(reel.reelId);
+    const link = searchRoot.querySelector(`a[href*="/reel/${escapedId}"], a[href*="/reels/${escapedId}"]`);
+    if (link) {
+      return link;
+    }
+  }
+  
+  if (reel.messageId) {
+    const row = findMessageRow(searchRoot, reel.messageId);
+    if (row) {
+      const { elements } = findReelElementsInSubtree(row, getSelectors(SELECTOR_GROUPS.REELS));
+      if (elements.length > 0) {
+        return elements.find(element => elementShowsReel(element, reel.reelId)) || elements[0];
+      }
+    }
+  }
+  
+  return (renderedReels || indexRenderedReels()).get(reel.reelId) || null;
+}
+
+/**
+ * Map a reel back to its live element after Instagram re-rendered its row
+ * Updates the tracked reel so later lookups use the cached element again
+ * @param {Object} reel - Tracked or stored reel entry
+ * @param {Map} [renderedReels] - Index from indexRenderedReels, built on demand if omitted
+ * @returns {Element|null} The reel element or null if it is not rendered
+ */
+function reanchorReel(reel, renderedReels = null) {
+  const element = findRenderedReelElement(reel, renderedReels);
+  if (!element) {
+    return null;
+  }
+  
+  classifiedNodes.set(element, reel.reelId);
+  const trackedReel = detectedReelsMap.get(reel.reelId);
+  if (trackedReel) {
+    attachReelElement(trackedReel, element);
+  }
+  
+  log.navigation.trace(`Re-anchored reel ${reel.reelId}`);
+  return element;
+}
+
+/**
+ * Drop the message ID index, e.g. when the conversation changes
+ */
+function clearReelAnchors() {
+  messageIdIndex.clear();
+}
+
+// =============================================================================
+// SELECTOR FALLBACK
+// =============================================================================
+
+// Selector found by pattern discovery after the registry stopped matching, kept for this page session
+let sessionReelSelector = null;
+
+// Conversations where pattern discovery already ran, so it runs at most once per thread
+const selectorDiscoveryAttempts = new Set();
+
+// Most elements scored per candidate selector
+const MAX_SCORED_ELEMENTS = 50;
+
+/**
+ * Check whether a thread shows media that could be reels
+ * @param {Element} messagesContainer - The messages container element
+ * @returns {boolean} True if a reasonably sized video or CDN image is rendered
+ */
+function hasVisibleMedia(messagesContainer) {
+  return Array.from(messagesContainer.querySelectorAll('video, img[src*="cdninstagram"], img[src*="scontent"], img[src*="fbcdn"]'))
+    .some(media => {
+      const rect = media.getBoundingClientRect();
+      return rect.width >= MIN_THUMBNAIL_SIZE && rect.height >= MIN_THUMBNAIL_SIZE;
+    });
+}
+
+/**
+ * Score a candidate reel selector against known reel URL shapes
+ * Matches carrying a reel URL count most, other plausible reel elements a little,
+ * and matches that are not reels count against the selector
+ * @param {Element} messagesContainer - The messages container element
+ * @param {string} selector - Candidate selector
+ * @returns {Object} Selector, score, match count and reel URL match count
+ */
+function scoreSelectorCandidate(messagesContainer, selector) {
+  const result = { selector, score: 0, matches: 0, reelUrlMatches: 0 };
+  
+  let elements;
+  try {
+    elements = Array.from(messagesContainer.querySelectorAll(selector));
+  } catch (error) {
+    return result;
+  }
+  
+  result.matches = elements.length;
+  elements.slice(0, MAX_SCORED_ELEMENTS).forEach(element => {
+    const link = element.closest('a[href]') || element.querySelector('a[href]');
+    const media = element.matches('video, img') ? element : element.querySelector('video, img');
+    const urls = [
+      link && link.getAttribute('href'),
+      media && (media.getAttribute('src') || media.getAttribute('poster'))
+    ].filter(Boolean);
+    
+    if (urls.some(url => extractReelIdFromUrl(url))) {
+      result.reelUrlMatches++;
+      result.score += 3;
+    } else if (validateReelElement(element)) {
+      result.score += 1;
+    } else {
+      result.score -= 0.5;
+    }
+  });
+  
+  return result;
+}
+
+/**
+ * Fall back to pattern discovery when the registry's reel selectors find nothing
+ * Picks the best-scoring candidate for the rest of the session and records the drift
+ * @param {Element} messagesContainer - The messages container element
+ * @returns {string|null} Selector to use, or null if none was found
+ */
+function healReelDetection(messagesContainer) {
+  if (sessionReelSelector) {
+    return sessionReelSelector;
+  }
+  
+  const conversationId = activeConversationId || getCurrentConversationId();
+  if (!messagesContainer || selectorDiscoveryAttempts.has(conversationId) || !hasVisibleMedia(messagesContainer)) {
+    return null;
+  }
+  selectorDiscoveryAttempts.add(conversationId);
+  
+  try {
+    log.diagnostics.warn('Reel selectors found nothing in a thread with media, running pattern discovery...');
+    
+    const candidates = collectReelPatterns(messagesContainer).summary.potentialSelectors
+      .map(selector => scoreSelectorCandidate(messagesContainer, selector))
+      .filter(candidate => candidate.score > 0)
+      .sort((a, b) => b.score - a.score);
+    const best = candidates[0] || null;
+    
+    recordSelectorDrift({
+      detectedAt: Date.now(),
+      conversationId: conversationId,
+      url: window.location.href,
+      failedSelectors: getSelectors(SELECTOR_GROUPS.REELS),
+      candidatesScored: candidates.length,
+      selector: best ? best.selector : null,
+      score: best ? best.score : 0,
+      matches: best ? best.matches : 0,
+      reelUrlMatches: best ? best.reelUrlMatches : 0
+    });
+    
+    if (!best) {
+      log.diagnostics.warn('Pattern discovery found no usable reel selector');
+      return null;
+    }
+    
+    sessionReelSelector = best.selector;
+    log.diagnostics.warn(`Using discovered reel selector for this session: ${best.selector} (score ${best.score})`);
+    return sessionReelSelector;
+    
+  } catch (error) {
+    log.diagnostics.error('Error during selector fallback:', error);
+    return null;
+  }
+}
+
+// =============================================================================
+// WATCH STATE
+// =============================================================================
+
+// What marked a reel as watched
+const WATCHED_BY = {
+  MANUAL: 'manual',
+  PLAYBACK: 'playback',
+  OPENED: 'opened',
+  DWELL: 'dwell',
+  REACTION: 'reaction',
+  REPLY: 'reply'
+};
+
+// Guard so the watch listeners are only registered once per page
+let watchStateTrackingActive = false;
+
+/**
+ * Set the watch state of a tracked reel by hand
+ * Updates the in-memory entry and the stored conversation data
+ * @param {string} reelId - The reel ID
+ * @param {string} watchState - One of WATCH_STATES
+ * @returns {Promise<Object>} Result with the applied state
+ */
+async function setReelWatchState(reelId, watchState) {
+  try {
+    if (!Object.values(WATCH_STATES).includes(watchState)) {
+      return { success: false, error: `Invalid watch state: ${watchState}` };
+    }
+
+    const watchedAt = watchState === WATCH_STATES.WATCHED ? Date.now() : null;
+    const watchedBy = watchState === WATCH_STATES.WATCHED ? WATCHED_BY.MANUAL : null;
+
+    const trackedReel = detectedReelsMap.get(reelId);
+    if (trackedReel) {
+      trackedReel.watchState = watchState;
+      trackedReel.watchedAt = watchedAt;
+      trackedReel.watchedBy = watchedBy;
+    }
+
+    const conversationId = getCurrentConversationId();
+    const storedReel = await updateStoredReel(conversationId, reelId, {
+      watchState,
+      watchedAt,
+      watchedBy
+    });
+
+    if (!trackedReel && !storedReel) {
+      return { success: false, error: `Reel not tracked: ${reelId}` };
+    }
+
+    if (storedReel) {
+      const storedData = await getStoredReelData(conversationId);
+      await notifyServiceWorkerOfUpdate(conversationId, storedData.reels);
+    } else {
+      persistReelData();
+    }
+
+    log.detection.info(`Reel ${reelId} marked as ${watchState}`);
+    return { success: true, reelId, watchState, watchedAt, watchedBy };
+
+  } catch (error) {
+    log.detection.error('Error setting reel watch state:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Advance a tracked reel's watch state from user activity
+ * Never moves a reel backwards (e.g. replaying a watched reel keeps it watched)
+ * @param {Object} reel - Tracked reel entry from detectedReelsMap
+ * @param {string} watchState - The state the activity implies
+ * @param {string} [watchedBy] - One of WATCHED_BY, recorded when the reel becomes watched
+ */
+function advanceReelWatchState(reel, watchState, watchedBy = null) {
+  const currentState = reel.watchState || WATCH_STATES.UNWATCHED;
+  if (WATCH_STATE_RANK[watchState] <= WATCH_STATE_RANK[currentState]) {
+    return;
+  }
+
+  reel.watchState = watchState;
+  if (watchState === WATCH_STATES.WATCHED) {
+    reel.watchedAt = Date.now();
+    reel.watchedBy = watchedBy;
+    unobserveReelDwell(reel);
+  }
+
+  log.detection.info(`Reel ${reel.reelId} is now ${watchState}${watchedBy ? ` (${watchedBy})` : ''}`);
+
+  if (watchState === WATCH_STATES.OPENED && isAutoMarkRuleEnabled('opened')) {
+    advanceReelWatchState(reel, WATCH_STATES.WATCHED, WATCHED_BY.OPENED);
+    return;
+  }
+
+  persistReelData();
+}
+
+/**
+ * Find the tracked reel an element belongs to
+ * @param {Element} element - Element the user interacted with
+ * @returns {Object|null} Tracked reel entry or null
+ */
+function findTrackedReelForElement(element) {
+  if (!element || !element.closest) {
+    return null;
+  }
+
+  const reelLink = element.closest('a[href*="/reel/"], a[href*="/reels/"]');
+  if (reelLink) {
+    const linkReelId = extractReelIdFromUrl(reelLink.getAttribute('href'));
+    if (linkReelId && detectedReelsMap.has(linkReelId)) {
+      return detectedReelsMap.get(linkReelId);
+    }
+  }
+
+  const clickable = element.closest('[role="button"], a');
+  for (const reel of detectedReelsMap.values()) {
+    const reelElement = reel.domElement;
+    if (!reelElement || !reelElement.isConnected) {
+      continue;
+    }
+    if (reelElement.contains(element) || (clickable && clickable.contains(reelElement))) {
+      return reel;
+    }
+  }
+
+  // A recycled row that hasn't been re-attached yet can still be matched by its message
+  return findReelByMessageId(extractMessageId(element));
+}
+
+/**
+ * Listen for the user opening and finishing reels
+ * Clicking a reel link or starting its video marks it opened; reaching the end marks it watched
+ */
+function setupWatchStateTracking() {
+  if (watchStateTrackingActive) {
+    return;
+  }
+
+  document.addEventListener('click', (event) => {
+    const reel = findTrackedReelForElement(event.target);
+    if (reel) {
+      advanceReelWatchState(reel, WATCH_STATES.OPENED);
+    }
+  }, true);
+
+  // Media events don't bubble, so listen in the capture phase
+  document.addEventListener('play', (event) => {
+    const reel = findTrackedReelForElement(event.target);
+    if (reel) {
+      advanceReelWatchState(reel, WATCH_STATES.OPENED);
+    }
+  }, true);
+
+  document.addEventListener('ended', (event) => {
+    const reel = findTrackedReelForElement(event.target);
+    if (reel) {
+      advanceReelWatchState(reel, WATCH_STATES.WATCHED, WATCHED_BY.PLAYBACK);
+    }
+  }, true);
+
+  watchStateTrackingActive = true;
+  log.detection.info('Watch state tracking started');
+}
+
+// =============================================================================
+// AUTO-MARK
+// =============================================================================
+
+// A reel counts as fully in view once this much of it is visible
+const FULLY_VISIBLE_RATIO = 0.99;
+
+// Watches reel visibility for the dwell rule
+let dwellObserver = null;
+
+// Pending dwell timers keyed by reel ID
+const dwellTimers = new Map();
+
+/**
+ * Check whether an auto-mark rule is active
+ * @param {string} rule - 'opened', 'dwell', 'reaction' or 'reply'
+ * @returns {boolean} True if autoMark is on and the rule is enabled
+ */
+function isAutoMarkRuleEnabled(rule) {
+  return Boolean(extensionSettings.autoMark && extensionSettings.autoMarkRules[rule]);
+}
+
+/**
+ * Start or stop the auto-mark machinery to match current settings
+ */
+function applyAutoMarkSettings() {
+  if (isAutoMarkRuleEnabled('dwell')) {
+    setupDwellObserver();
+  } else {
+    teardownDwellObserver();
+  }
+}
+
+/**
+ * Create the dwell observer and start watching all tracked reels
+ */
+function setupDwellObserver() {
+  if (dwellObserver) {
+    return;
+  }
+
+  dwellObserver = new IntersectionObserver(handleDwellIntersections, {
+    threshold: FULLY_VISIBLE_RATIO
+  });
+  detectedReelsMap.forEach(reel => observeReelDwell(reel));
+
+  log.detection.info(`Dwell auto-mark active (${extensionSettings.autoMarkDwellTime}ms)`);
+}
+
+/**
+ * Stop the dwell observer and cancel pending timers
+ */
+function teardownDwellObserver() {
+  if (!dwellObserver) {
+    return;
+  }
+
+  dwellObserver.disconnect();
+  dwellObserver = null;
+  dwellTimers.forEach(timer => clearTimeout(timer));
+  dwellTimers.clear();
+
+  log.detection.info('Dwell auto-mark stopped');
+}
+
+/**
+ * Watch a reel's visibility for the dwell rule
+ * @param {Object} reel - Tracked reel entry
+ */
+function observeReelDwell(reel) {
+  if (dwellObserver && reel.domElement && isReelUnwatched(reel)) {
+    dwellObserver.observe(reel.domElement);
+  }
+}
+
+/**
+ * Stop watching a reel's visibility
+ * @param {Object} reel - Tracked reel entry
+ */
+function unobserveReelDwell(reel) {
+  clearTimeout(dwellTimers.get(reel.reelId));
+  dwellTimers.delete(reel.reelId);
+
+  if (dwellObserver && reel.domElement) {
+    dwellObserver.unobserve(reel.domElement);
+  }
+}
+
+/**
+ * Start a dwell timer when a reel is fully in view, cancel it when it leaves
+ * @param {IntersectionObserverEntry[]} entries - Visibility changes
+ */
+function handleDwellIntersections(entries) {
+  entries.forEach(entry => {
+    const reel = findTrackedReelForElement(entry.target);
+    if (!reel) {
+      return;
+    }
+
+    const fullyVisible = entry.isIntersecting && entry.intersectionRatio >= FULLY_VISIBLE_RATIO;
+
+    if (fullyVisible && isReelUnwatched(reel)) {
+      if (!dwellTimers.has(reel.reelId)) {
+        dwellTimers.set(reel.reelId, setTimeout(() => {
+          dwellTimers.delete(reel.reelId);
+          advanceReelWatchState(reel, WATCH_STATES.WATCHED, WATCHED_BY.DWELL);
+        }, extensionSettings.autoMarkDwellTime));
+      }
+    } else {
+      clearTimeout(dwellTimers.get(reel.reelId));
+      dwellTimers.delete(reel.reelId);
+    }
+  });
+}
+
+/**
+ * Apply the auto-mark rules to a newly detected reel
+ * @param {Object} reel - Tracked reel entry
+ */
+function applyAutoMarkToReel(reel) {
+  // Only the user's own reaction shows they watched it
+  if (reel.reactedByMe && isAutoMarkRuleEnabled('reaction')) {
+    advanceReelWatchState(reel, WATCH_STATES.WATCHED, WATCHED_BY.REACTION);
+    return;
+  }
+
+  observeReelDwell(reel);
+}
+
+/**
+ * Handle set watch state request
+ * @param {Object} message - Message with reelId and watchState
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleSetWatchState(message, sendResponse) {
+  try {
+    if (!message.reelId) {
+      sendResponse({ success: false, error: 'No reel ID provided' });
+      return;
+    }
+
+    const result = await setReelWatchState(message.reelId, message.watchState);
+    sendResponse(result);
+
+  } catch (error) {
+    log.detection.error('Error handling set watch state request:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// =============================================================================
+// REEL REPLIES
+// =============================================================================
+
+// Header on quoted replies: "You replied to them", "jane replied to you", "Replied to your reel"
+const REPLY_LABEL_PATTERN = /^(?:(.+?) )?replied to\b/i;
+
+// Reply rows whose quoted reel isn't tracked yet, mapped to the reply; retried as reels are tracked
+const unlinkedReplies = new Map();
+
+/**
+ * Find the "... replied to ..." header of a quoted reply
+ * @param {Element} row - Message row
+ * @returns {string|null} Header text or null if the row is not a reply
+ */
+function findReplyLabel(row) {
+  const walker = document.createTreeWalker(row, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const text = walker.currentNode.nodeValue.replace(/\s+/g, ' ').trim();
+    if (text.length <= MAX_TIME_LABEL_LENGTH && REPLY_LABEL_PATTERN.test(text)) {
+      return text;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a quoted reply from a message row
+ * @param {Element} row - Message row
+ * @returns {Object|null} Reply details plus the quoted preview, or null if the row is not a reply
+ */
+function extractReplyFromRow(row) {
+  const label = findReplyLabel(row);
+  if (!label) {
+    return null;
+  }
+  
+  // The quoted preview is a reel link or, failing that, a thumbnail outside any profile link
+  const quoteLink = row.querySelector('a[href*="/reel/"], a[href*="/reels/"]');
+  const quoteImage = Array.from(row.querySelectorAll('img[src]'))
+    .find(img => !img.closest('a[href]') || img.closest('a[href*="/reel"]'));
+  const quoteElement = quoteLink || (quoteImage && (quoteImage.closest('[role="button"]') || quoteImage.parentElement));
+  if (!quoteElement) {
+    return null;
+  }
+  
+  const replier = (label.match(REPLY_LABEL_PATTERN)[1] || '').trim();
+  const isMine = SELF_NAME_PATTERN.test(replier);
+  const sender = isMine ? null : findSenderAvatar(row);
+  
+  // The reply text is whatever the row shows besides the header, the quote and times
+  const textParts = [];
+  const walker = document.createTreeWalker(row, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const textNode = walker.currentNode;
+    const text = textNode.nodeValue.replace(/\s+/g, ' ').trim();
+    if (!text || text === label || quoteElement.contains(textNode) || parseMessageTime(text)) {
+      continue;
+    }
+    if (textNode.parentElement && textNode.parentElement.closest('time')) {
+      continue;
+    }
+    textParts.push(text);
+  }
+  
+  const text = textParts.join(' ');
+  const direction = isMine ? REEL_DIRECTIONS.SENT : REEL_DIRECTIONS.RECEIVED;
+  const senderName = isMine ? null : (replier || (sender && (sender.senderName || sender.senderUsername)) || null);
+  const sentTime = extractTimestamp(row);
+  
+  // The same text sent twice is two replies, so the ID includes the message ID or,
+  // failing that, a sent time precise enough to read the same way on every scan
+  const contentKey = `${direction}|${senderName || ''}|${text}`;
+  const preciseTime = TIMESTAMP_CONFIDENCE_RANK[sentTime.confidence] >= TIMESTAMP_CONFIDENCE_RANK[TIMESTAMP_CONFIDENCE.HIGH];
+  const messageAnchor = extractRowMessageId(row) || (preciseTime ? String(sentTime.sentAt) : null);
+  
+  return {
+    replyId: `reply_${hashString(messageAnchor ? `${contentKey}|${messageAnchor}` : contentKey)}`,
+    // Replies stored before the ID included the anchor had the content-only ID
+    legacyReplyId: messageAnchor ? `reply_${hashString(contentKey)}` : null,
+    text: text,
+    direction: direction,
+    senderName: senderName,
+    sentAt: sentTime.sentAt,
+    sentAtConfidence: sentTime.confidence,
+    quoteLink: quoteLink,
+    quoteImage: quoteImage
+  };
+}
+
+/**
+ * Work out which reel a quoted reply points at
+ * Matches the quote's reel link first, then its thumbnail's CDN asset
+ * @param {Object} reply - Reply from extractReplyFromRow
+ * @param {Array} candidates - Tracked and stored reels of the conversation
+ * @returns {Object|null} The quoted reel or null if it is not tracked
+ */
+function findQuotedReel(reply, candidates) {
+  if (reply.quoteLink) {
+    const shortcode = extractReelIdFromUrl(reply.quoteLink.getAttribute('href'));
+    const linkedReel = shortcode && candidates.find(reel => reel.reelId === shortcode);
+    if (linkedReel) {
+      return linkedReel;
+    }
+  }
+  
+  const assetId = reply.quoteImage ? extractCdnAssetId(reply.quoteImage.getAttribute('src')) : null;
+  if (assetId) {
+    return candidates.find(reel => reel.reelId === assetId || extractCdnAssetId(reel.thumbnailUrl) === assetId) || null;
+  }
+  
+  return null;
+}
+
+/**
+ * Store a reply on the reel it quotes
+ * A reply from the current user counts as engagement for the auto-mark rules
+ * @param {string} conversationId - Conversation the reel belongs to
+ * @param {Object} reel - Tracked or stored reel
+ * @param {Object} reply - Reply from extractReplyFromRow
+ */
+async function recordReelReply(conversationId, reel, reply) {
+  const replyRecord = {
+    replyId: reply.replyId,
+    legacyReplyId: reply.legacyReplyId,
+    text: reply.text,
+    direction: reply.direction,
+    senderName: reply.senderName,
+    sentAt: reply.sentAt,
+    sentAtConfidence: reply.sentAtConfidence
+  };
+  const repliedByMe = Boolean(reel.repliedByMe) || reply.direction === REEL_DIRECTIONS.SENT;
+  const markWatched = repliedByMe && isReelUnwatched(reel) && isAutoMarkRuleEnabled('reply');
+  
+  log.detection.info(`Reply linked to reel ${reel.reelId}:`, replyRecord);
+  
+  const trackedReel = detectedReelsMap.get(reel.reelId);
+  if (trackedReel) {
+    trackedReel.replies = mergeReplies(trackedReel.replies, [replyRecord]);
+    trackedReel.repliedByMe = repliedByMe;
+    if (markWatched) {
+      advanceReelWatchState(trackedReel, WATCH_STATES.WATCHED, WATCHED_BY.REPLY);
+    }
+    persistReelData();
+    return;
+  }
+  
+  // Reels saved by a full scan are only in storage
+  const changes = { replies: mergeReplies(reel.replies, [replyRecord]), repliedByMe };
+  if (markWatched) {
+    Object.assign(changes, { watchState: WATCH_STATES.WATCHED, watchedAt: Date.now(), watchedBy: WATCHED_BY.REPLY });
+  }
+  
+  const updatedReel = await updateStoredReel(conversationId, reel.reelId, changes);
+  if (updatedReel) {
+    Object.assign(reel, changes);
+    const storedData = await getStoredReelData(conversationId);
+    await notifyServiceWorkerOfUpdate(conversationId, storedData.reels);
+  }
+}
+
+/**
+ * Link quoted replies in the queued rows to the reels they quote
+ * Each row is read once; replies to reels that aren't tracked yet wait in unlinkedReplies
+ */
+async function scanForReelReplies() {
+  try {
+    const rows = Array.from(pendingReplyRows);
+    pendingReplyRows.clear();
+    
+    rows.forEach(row => {
+      if (!row.isConnected) {
+        return;
+      }
+      classifiedNodes.set(row, REPLY_ROW_CHECKED);
+      const reply = extractReplyFromRow(row);
+      if (reply) {
+        unlinkedReplies.set(row, reply);
+      }
+    });
+    
+    unlinkedReplies.forEach((reply, row) => {
+      if (!row.isConnected) {
+        unlinkedReplies.delete(row);
+      }
+    });
+    
+    reelsTrackedSinceReplyScan = false;
+    if (unlinkedReplies.size === 0) {
+      return;
+    }
+    
+    const conversationId = activeConversationId || getCurrentConversationId();
+    const storedData = await getStoredReelData(conversationId);
+    const candidates = [...detectedReelsMap.values(), ...(storedData.reels || [])];
+    
+    for (const [row, reply] of Array.from(unlinkedReplies)) {
+      const reel = findQuotedReel(reply, candidates);
+      if (!reel) {
+        continue;
+      }
+      
+      unlinkedReplies.delete(row);
+      await recordReelReply(conversationId, reel, reply);
+    }
+  } catch (error) {
+    log.detection.error('Error scanning for reel replies:', error);
+  }
+}
+
+// =============================================================================
+// REEL NAVIGATION
+// =============================================================================
+
+// Reel the next/previous navigation cursor currently points at
+let currentNavigationReelId = null;
+
+// How long a navigated-to message stays highlighted
+const NAVIGATION_FLASH_DURATION = 1500;
+
+/**
+ * Resolve the live DOM element for a tracked reel
+ * Tries the cached element, then re-anchors the reel in the rendered rows,
+ * then the stored DOM path if it still leads to the same reel
+ * @param {Object} reel - Tracked reel entry
+ * @param {Map} [renderedReels] - Index from indexRenderedReels, shared when resolving many reels
+ * @returns {Element|null} The reel element or null if it is not rendered
+ */
+function resolveReelElement(reel, renderedReels = null) {
+  try {
+    if (reel.domElement && reel.domElement.isConnected) {
+      return reel.domElement;
+    }
+
+    const anchoredElement = reanchorReel(reel, renderedReels);
+    if (anchoredElement) {
+      return anchoredElement;
+    }
+
+    if (reel.domPath && reel.domPath !== 'unknown_path') {
+      try {
+        // Recycled rows can put a different reel at the old path
+        const element = document.querySelector(reel.domPath);
+        return element && elementShowsReel(element, reel.reelId) ? element : null;
+      } catch (selectorError) {
+        // Class names in stored paths are not always valid selectors
+        return null;
+      }
+    }
+
+    return null;
+  } catch (error) {
+    log.navigation.warn('Error resolving reel element:', error);
+    return null;
+  }
+}
+
+/**
+ * Collect every reel known for the current conversation, rendered or not
+ * Combines in-memory detections with the stored conversation data
+ * @returns {Promise<Map>} Reel ID → reel entry
+ */
+async function getConversationReels() {
+  const conversationId = getCurrentConversationId();
+  const storedData = await getStoredReelData(conversationId);
+
+  const reelsById = new Map();
+  detectedReelsMap.forEach((reel, reelId) => {
+    reelsById.set(reelId, { ...reel });
+  });
+  (storedData.reels || []).forEach(storedReel => {
+    reelsById.set(storedReel.reelId, { ...reelsById.get(storedReel.reelId), ...storedReel });
+  });
+
+  return reelsById;
+}
+
+/**
+ * Collect the current conversation's reels that are rendered on the page
+ * @param {Map} [reelsById] - Result of getConversationReels, read on demand if omitted
+ * @returns {Promise<Array>} Entries of { reel, element } in DOM order
+ */
+async function getNavigableReels(reelsById = null) {
+  if (!reelsById) {
+    reelsById = await getConversationReels();
+  }
+
+  const renderedReels = indexRenderedReels();
+  const navigableReels = [];
+  reelsById.forEach(reel => {
+    const element = resolveReelElement(reel, renderedReels);
+    if (element) {
+      navigableReels.push({ reel, element });
+    }
+  });
+
+  // Sort in document order so "next" means further down the thread
+  navigableReels.sort((a, b) => {
+    return a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+  });
+
+  return navigableReels;
+}
+
+/**
+ * Scroll a reel's message into view and flash it briefly
+ * @param {Element} reelElement - The reel DOM element
+ */
+function scrollToReelElement(reelElement) {
+  const target = findMessageContainer(reelElement) || reelElement;
+  target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  if (target.hasAttribute('data-ig-nav-flash')) {
+    return;
+  }
+
+  const previousOutline = target.style.outline;
+  const previousTransition = target.style.transition;
+  target.setAttribute('data-ig-nav-flash', 'true');
+  target.style.transition = 'outline-color 0.3s ease';
+  target.style.outline = '3px solid #E1306C';
+
+  setTimeout(() => {
+    target.style.outline = previousOutline;
+    target.style.transition = previousTransition;
+    target.removeAttribute('data-ig-nav-flash');
+  }, NAVIGATION_FLASH_DURATION);
+}
+
+/**
+ * Check whether navigation should stop at a reel
+ * Reels the user sent themselves are skipped
+ * @param {Object} reel - Tracked reel entry
+ * @returns {boolean} True if the reel is an unwatched incoming reel
+ */
+function isNavigationTarget(reel) {
+  return isReelUnwatched(reel) && !isOwnReel(reel);
+}
+
+/**
+ * Pick the nearest unwatched reel beyond the rendered rows in a direction
+ * Only sent times that hasOrderableSentTime accepts are compared
+ * @param {Map} reelsById - Result of getConversationReels
+ * @param {Array} navigableReels - Rendered entries from getNavigableReels
+ * @param {string} direction - 'next' or 'previous'
+ * @returns {Object|null} Reel entry to scroll to, or null if there is none
+ */
+function findOffscreenNavigationTarget(reelsById, navigableReels, direction) {
+  const renderedIds = new Set(navigableReels.map(({ reel }) => reel.reelId));
+  const renderedTimes = navigableReels
+    .filter(({ reel }) => hasOrderableSentTime(reel))
+    .map(({ reel }) => reel.sentAt);
+  const oldestRendered = renderedTimes.length > 0 ? Math.min(...renderedTimes) : Infinity;
+  const newestRendered = renderedTimes.length > 0 ? Math.max(...renderedTimes) : -Infinity;
+
+  let target = null;
+  reelsById.forEach(reel => {
+    if (renderedIds.has(reel.reelId) || !hasOrderableSentTime(reel) || !isNavigationTarget(reel)) {
+      return;
+    }
+    if (direction === 'previous' && reel.sentAt < oldestRendered && (!target || reel.sentAt > target.sentAt)) {
+      target = reel;
+    } else if (direction === 'next' && reel.sentAt > newestRendered && (!target || reel.sentAt < target.sentAt)) {
+      target = reel;
+    }
+  });
+
+  return target;
+}
+
+/**
+ * Move to the next or previous unwatched reel in the current conversation
+ * Scrolls to unwatched reels outside the rendered rows before wrapping around the ends of the thread
+ * @param {string} direction - 'next' or 'previous'
+ * @returns {Promise<Object>} Navigation result
+ */
+async function navigateToUnwatchedReel(direction) {
+  try {
+    const reelsById = await getConversationReels();
+    const navigableReels = await getNavigableReels(reelsById);
+    const unwatchedCount = navigableReels.filter(({ reel }) => isNavigationTarget(reel)).length;
+    const offscreenTarget = findOffscreenNavigationTarget(reelsById, navigableReels, direction);
+
+    const total = navigableReels.length;
+    const step = direction === 'previous' ? -1 : 1;
+    const currentIndex = navigableReels.findIndex(({ reel }) => reel.reelId === currentNavigationReelId);
+    const origin = currentIndex !== -1 ? currentIndex : (step === 1 ? -1 : total);
+    const maxSteps = unwatchedCount === 0 ? 0 : (currentIndex !== -1 ? total - 1 : total);
+
+    for (let offset = 1; offset <= maxSteps; offset++) {
+      const rawIndex = origin + step * offset;
+      const { reel, element } = navigableReels[(rawIndex + total) % total];
+
+      if (!isNavigationTarget(reel)) {
+        continue;
+      }
+
+      const wrapped = rawIndex < 0 || rawIndex >= total;
+      if (wrapped && offscreenTarget) {
+        break;
+      }
+
+      currentNavigationReelId = reel.reelId;
+      scrollToReelElement(element);
+
+      log.navigation.info(`Navigated to ${direction} unwatched reel: ${reel.reelId}${wrapped ? ' (wrapped)' : ''}`);
+      return {
+        success: true,
+        found: true,
+        reelId: reel.reelId,
+        wrapped: wrapped,
+        unwatchedCount: unwatchedCount
+      };
+    }
+
+    if (offscreenTarget) {
+      log.navigation.info(`Scrolling to ${direction} unwatched reel outside the rendered rows: ${offscreenTarget.reelId}`);
+      const result = await scrollToReel(offscreenTarget.reelId);
+      return result.success ? { ...result, wrapped: false, unwatchedCount: unwatchedCount + 1 } : result;
+    }
+
+    log.navigation.info('No unwatched reels to navigate to');
+    return { success: true, found: false, message: 'No more unwatched reels' };
+
+  } catch (error) {
+    log.navigation.error('Error navigating between reels:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Scroll to a tracked reel and open it
+ * Reels outside the rendered rows are scrolled into view first
+ * @param {string} reelId - The reel ID
+ * @returns {Promise<Object>} Result of the open attempt
+ */
+async function openReel(reelId) {
+  try {
+    const result = await scrollToReel(reelId);
+    if (!result.success) {
+      return result;
+    }
+
+    // scrollToReel leaves the navigation cursor on the reel
+    const target = await findCurrentReel();
+    if (!target || target.reel.reelId !== reelId) {
+      return { success: false, error: 'Reel is not rendered on the page' };
+    }
+
+    // Clicking the reel's link or card lets Instagram open it as the user would
+    const opener = target.element.closest('a[href], [role="button"]') || target.element;
+    opener.click();
+
+    log.navigation.info(`Opened reel: ${reelId}`);
+    return { success: true, reelId };
+
+  } catch (error) {
+    log.navigation.error('Error opening reel:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle open reel request
+ * @param {Object} message - Message with reelId
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleOpenReel(message, sendResponse) {
+  try {
+    if (!message.reelId) {
+      sendResponse({ success: false, error: 'No reel ID provided' });
+      return;
+    }
+
+    const result = await openReel(message.reelId);
+    sendResponse(result);
+
+  } catch (error) {
+    log.navigation.error('Error handling open reel request:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle next/previous unwatched reel request
+ * @param {string} direction - 'next' or 'previous'
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleNavigateReel(direction, sendResponse) {
+  try {
+    if (!isInstagramDMPage()) {
+      sendResponse({ success: false, error: 'Not on Instagram DM page' });
+      return;
+    }
+
+    const result = await navigateToUnwatchedReel(direction);
+    sendResponse(result);
+
+  } catch (error) {
+    log.navigation.error('Error handling reel navigation request:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle messages from popup
+ * @param {Object} message - Message object
+ * @param {Object} sender - Sender information
+ * @param {Function} sendResponse - Response callback
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  try {
+    log.lifecycle.debug('Content script received message:', message);
+    
+    switch (message.action) {
+      case 'testInjection':
+        sendResponse({ success: true, message: 'Content script active' });
+        break;
+        
+      case 'getPageInfo':
+        handleGetPageInfo(sendResponse);
+        break;
+        
+      case 'refreshTracking':
+        handleRefreshTracking(sendResponse);
+        break;
+        
+      case 'detectReels':
+        handleDetectReels(sendResponse);
+        break;
+        
+      case 'getReelData':
+        handleGetReelData(sendResponse);
+        break;
+        
+      case 'beginInitialization':
+        handleBeginInitialization(sendResponse);
+        break;
+        
+      case 'getStatus':
+        handleGetStatus(sendResponse);
+        break;
+
+      case 'getLogs':
+        sendResponse({ success: true, entries: getLogEntries() });
+        break;
+
+      case 'runShortcut':
+        handleRunShortcut(message, sendResponse);
+        break;
+
+      case 'startBackfill':
+        handleStartBackfill(message, sendResponse);
+        break;
+
+      case 'cancelBackfill':
+        sendResponse({ success: true, cancelled: cancelBackfillScan() });
+        break;
+
+      case 'getBackfillStatus':
+        sendResponse({ success: true, backfill: backfillState });
+        break;
+
+      case 'navigateNextUnwatched':
+        handleNavigateReel('next', sendResponse);
+        break;
+
+      case 'navigatePreviousUnwatched':
+        handleNavigateReel('previous', sendResponse);
+        break;
+
+      case 'setWatchState':
+        handleSetWatchState(message, sendResponse);
+        break;
+
+      case 'openReel':
+        handleOpenReel(message, sendResponse);
+        break;
+
+      case 'scrollToReel':
+        handleScrollToReel(message, sendResponse);
+        break;
+
+      default:
+        log.lifecycle.warn('Unknown message action:', message.action);
+        sendResponse({ success: false, error: 'Unknown action' });
+    }
+  } catch (error) {
+    log.lifecycle.error('Error handling message:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+  
+  return true; // Keep message channel open for async response
+});
+
+/**
+ * Get current page information
+ * @param {Function} sendResponse - Response callback
+ */
+function handleGetPageInfo(sendResponse) {
+  try {
+    const pageInfo = {
+      url: window.location.href,
+      isInstagramDM: isInstagramDMPage(),
+      title: document.title,
+      timestamp: Date.now()
+    };
+    
+    log.lifecycle.debug('Page info requested:', pageInfo);
+    sendResponse({ success: true, pageInfo });
+  } catch (error) {
+    log.lifecycle.error('Error getting page info:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Refresh tracking system
+ * @param {Function} sendResponse - Response callback
+ */
+function handleRefreshTracking(sendResponse) {
+  try {
+    log.lifecycle.debug('Refreshing tracking system...');
+    
+    if (isInstagramDMPage()) {
+      setupMutationObserver();
+      sendResponse({ success: true, message: 'Tracking refreshed' });
+    } else {
+      sendResponse({ success: false, error: 'Not on Instagram DM page' });
+    }
+  } catch (error) {
+    log.lifecycle.error('Error refreshing tracking:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle reel detection request
+ * @param {Function} sendResponse - Response callback
+ */
+function handleDetectReels(sendResponse) {
+  try {
+    log.detection.debug('Reel detection requested...');
+    
+    if (!isInstagramDMPage()) {
+      sendResponse({ success: false, error: 'Not on Instagram DM page' });
+      return;
+    }
+    
+    const reelMessages = detectAndLogReels();
+    sendResponse({ 
+      success: true, 
+      message: 'Reel detection completed',
+      reelCount: reelMessages.length,
+      reels: reelMessages.map(({ domElement, ...reel }) => reel)
+    });
+    
+  } catch (error) {
+    log.detection.error('Error handling reel detection request:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Read the current conversation's stored reels
+ * @returns {Promise<Object>} Reel data for the current conversation
+ */
+async function getCurrentReelData() {
+  const conversationId = getCurrentConversationId();
+  const storedData = await getStoredReelData(conversationId);
+  const reels = storedData.reels || [];
+
+  return {
+    conversationId: conversationId,
+    reels: reels,
+    lastDetectionTime: storedData.lastUpdated || null,
+    totalCount: reels.length
+  };
+}
+
+/**
+ * Handle get reel data request
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleGetReelData(sendResponse) {
+  try {
+    log.storage.debug('Reel data requested...');
+    
+    const reelData = await getCurrentReelData();
+    log.storage.debug('Retrieved reel data:', reelData);
+    sendResponse({ success: true, data: reelData });
+    
+  } catch (error) {
+    log.storage.error('Error handling get reel data request:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle begin initialization request
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleBeginInitialization(sendResponse) {
+  try {
+    log.lifecycle.debug('Begin initialization requested...');
+    
+    const result = await initializeOnce();
+    sendResponse(result);
+    
+  } catch (error) {
+    log.lifecycle.error('Error handling begin initialization request:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle get status request
+ * @param {Function} sendResponse - Response callback
+ */
+function handleGetStatus(sendResponse) {
+  try {
+    log.lifecycle.debug('Status requested...');
+    
+    const status = {
+      isInitialized: isInitialized,
+      isOnDMPage: isInstagramDMPage(),
+      hasMutationObserver: mutationObserver !== null,
+      initializationError: initializationError,
+      url: window.location.href
+    };
+    
+    log.lifecycle.debug('Current status:', status);
+    sendResponse({ success: true, ...status });
+    
+  } catch (error) {
+    log.lifecycle.error('Error handling get status request:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// =============================================================================
+// BACKFILL SCAN
+// =============================================================================
+
+// Pause between scroll steps, so the scan doesn't hammer Instagram's history requests
+const BACKFILL_STEP_DELAY = 1500;
+
+// Longest wait for older rows to load after a scroll step
+const BACKFILL_LOAD_TIMEOUT = 5000;
+
+// Steps at the top of the list without new rows before the thread counts as fully loaded
+const BACKFILL_IDLE_STEPS = 3;
+
+// Hard stop for very long threads
+const BACKFILL_MAX_STEPS = 1000;
+
+// Share of the visible list height scrolled per step
+const BACKFILL_SCROLL_FRACTION = 0.8;
+
+// Progress of the current or last backfill scan, reported to the popup
+let backfillState = null;
+
+/**
+ * Find the element that scrolls the message list
+ * @param {Element} messagesContainer - The messages container element
+ * @returns {Element|null} Scrollable ancestor or null if none is found
+ */
+function findMessageScroller(messagesContainer) {
+  let element = messagesContainer;
+  while (element && element !== document.body) {
+    const overflowY = window.getComputedStyle(element).overflowY;
+    if ((overflowY === 'auto' || overflowY === 'scroll') && element.scrollHeight > element.clientHeight) {
+      return element;
+    }
+    element = element.parentElement;
+  }
+  return null;
+}
+
+/**
+ * Check whether the list is scrolled to its oldest loaded message
+ * Instagram may render the list with column-reverse, where scrollTop runs negative upwards
+ * @param {Element} scroller - Scrollable message list
+ * @returns {boolean} True if there is nothing further up to scroll to
+ */
+function isScrolledToTop(scroller) {
+  const maxScroll = scroller.scrollHeight - scroller.clientHeight;
+  if (window.getComputedStyle(scroller).flexDirection === 'column-reverse') {
+    return Math.abs(scroller.scrollTop) >= maxScroll - 1;
+  }
+  return scroller.scrollTop <= 1;
+}
+
+/**
+ * Wait until older rows are added to the list, or give up after a timeout
+ * @param {Element} scroller - Scrollable message list
+ * @param {number} timeout - Longest wait in milliseconds
+ * @returns {Promise<boolean>} True if rows were added
+ */
+function waitForOlderRows(scroller, timeout) {
+  return new Promise(resolve => {
+    const observer = new MutationObserver(mutations => {
+      if (mutations.some(mutation => mutation.addedNodes.length > 0)) {
+        finish(true);
+      }
+    });
+    const timer = setTimeout(() => finish(false), timeout);
+
+    function finish(loaded) {
+      observer.disconnect();
+      clearTimeout(timer);
+      resolve(loaded);
+    }
+
+    observer.observe(scroller, { childList: true, subtree: true });
+  });
+}
+
+/**
+ * Estimate how far back the loaded history reaches
+ * @param {Element} messagesContainer - The messages container element
+ * @param {Array} reels - Tracked reels of the conversation
+ * @returns {number|null} Oldest known sent time in milliseconds, or null
+ */
+function findOldestLoadedTime(messagesContainer, reels) {
+  const times = reels
+    .filter(reel => reel.sentAtConfidence !== TIMESTAMP_CONFIDENCE.NONE)
+    .map(reel => reel.sentAt);
+
+  const firstRow = messagesContainer.querySelector('[role="row"]');
+  if (firstRow) {
+    const rowTime = extractTimestamp(firstRow);
+    if (rowTime.confidence !== TIMESTAMP_CONFIDENCE.NONE) {
+      times.push(rowTime.sentAt);
+    }
+  }
+
+  return times.length > 0 ? Math.min(...times) : null;
+}
+
+/**
+ * Count the reels tracked since the scan last looked
+ * Rows a step loads are often tracked by the idle mutation pipeline before the
+ * next scanForNewReels call, so the count comes from the tracked map instead
+ * @param {Object} state - Backfill state to update
+ * @param {Set} countedReelIds - Reel IDs tracked before the scan or already counted
+ */
+function countBackfilledReels(state, countedReelIds) {
+  detectedReelsMap.forEach((reel, reelId) => {
+    if (!countedReelIds.has(reelId)) {
+      countedReelIds.add(reelId);
+      state.reelsFound++;
+    }
+  });
+
+  // Every rendered reel should be tracked by now; one that isn't is missing from the count
+  const untracked = [];
+  indexRenderedReels().forEach((element, reelId) => {
+    if (!detectedReelsMap.has(reelId) && validateReelElement(element)) {
+      untracked.push(reelId);
+    }
+  });
+  if (untracked.length > 0) {
+    log.diagnostics.warn(`Backfill step ${state.steps}: ${untracked.length} rendered reels were not tracked or counted`, untracked);
+  }
+}
+
+/**
+ * Scroll the thread upwards step by step, detecting reels as older messages load
+ * Stops at the start of the thread, at the date limit, on cancel or when the thread changes
+ * @param {Object} options - Scan options
+ * @param {number|null} options.dateLimitDays - Stop once history older than this many days is loaded
+ * @returns {Promise<Object>} Final scan state
+ */
+async function runBackfillScan({ dateLimitDays = null } = {}) {
+  const conversationId = activeConversationId;
+  const dateLimit = dateLimitDays ? Date.now() - dateLimitDays * DAY_MS : null;
+
+  backfillState = {
+    status: 'running',
+    conversationId: conversationId,
+    dateLimit: dateLimit,
+    steps: 0,
+    reelsFound: 0,
+    oldestLoadedAt: null,
+    startedAt: Date.now(),
+    finishedAt: null,
+    reason: null,
+    cancelRequested: false
+  };
+  const state = backfillState;
+
+  const finish = (status, reason) => {
+    state.status = status;
+    state.reason = reason;
+    state.finishedAt = Date.now();
+    log.detection.info(`Backfill ${status} after ${state.steps} steps, ${state.reelsFound} new reels: ${reason}`);
+    return state;
+  };
+
+  try {
+    const messagesContainer = findMessagesContainer();
+    const scroller = messagesContainer && findMessageScroller(messagesContainer);
+    if (!scroller) {
+      return finish('error', 'Could not find the message list');
+    }
+
+    log.detection.info(`Backfill started for ${conversationId}${dateLimit ? ` back to ${new Date(dateLimit).toLocaleDateString()}` : ''}`);
+    const countedReelIds = new Set(detectedReelsMap.keys());
+    let idleSteps = 0;
+
+    while (state.steps < BACKFILL_MAX_STEPS) {
+      if (state.cancelRequested) {
+        return finish('cancelled', 'Cancelled');
+      }
+      if (!isInitialized || activeConversationId !== conversationId) {
+        return finish('cancelled', 'Conversation changed');
+      }
+
+      scanForNewReels();
+      countBackfilledReels(state, countedReelIds);
+      const oldestLoadedAt = findOldestLoadedTime(findMessagesContainer() || messagesContainer, Array.from(detectedReelsMap.values()));
+      if (oldestLoadedAt && (!state.oldestLoadedAt || oldestLoadedAt < state.oldestLoadedAt)) {
+        state.oldestLoadedAt = oldestLoadedAt;
+      }
+
+      if (dateLimit && state.oldestLoadedAt && state.oldestLoadedAt <= dateLimit) {
+        return finish('done', 'Reached the date limit');
+      }
+
+      const atTop = isScrolledToTop(scroller);
+      const loaded = waitForOlderRows(scroller, BACKFILL_LOAD_TIMEOUT);
+      scroller.scrollBy({ top: -scroller.clientHeight * BACKFILL_SCROLL_FRACTION });
+      state.steps++;
+
+      if (await loaded) {
+        idleSteps = 0;
+      } else if (atTop && ++idleSteps >= BACKFILL_IDLE_STEPS) {
+        scanForNewReels();
+        countBackfilledReels(state, countedReelIds);
+        return finish('done', 'Reached the start of the conversation');
+      }
+
+      await new Promise(resolve => setTimeout(resolve, BACKFILL_STEP_DELAY));
+    }
+
+    return finish('done', `Stopped after ${BACKFILL_MAX_STEPS} steps`);
+
+  } catch (error) {
+    log.detection.error('Error during backfill scan:', error);
+    return finish('error', error.message);
+  } finally {
+    flushPendingPersistence();
+  }
+}
+
+/**
+ * Ask a running backfill scan to stop after its current step
+ * @returns {boolean} True if a scan was running
+ */
+function cancelBackfillScan() {
+  if (!backfillState || backfillState.status !== 'running') {
+    return false;
+  }
+  backfillState.cancelRequested = true;
+  return true;
+}
+
+/**
+ * Handle a request to start a backfill scan
+ * Responds once the scan has started; the popup polls for progress
+ * @param {Object} message - Message with the optional dateLimitDays
+ * @param {Function} sendResponse - Response callback
+ */
+function handleStartBackfill(message, sendResponse) {
+  if (!isInitialized || !isInstagramDMPage()) {
+    sendResponse({ success: false, error: 'Tracking is not active on this page' });
+    return;
+  }
+  if (backfillState && backfillState.status === 'running') {
+    sendResponse({ success: false, error: 'A scan is already running' });
+    return;
+  }
+
+  runBackfillScan({ dateLimitDays: message.dateLimitDays || null });
+  sendResponse({ success: true, backfill: backfillState });
+}
+
+// =============================================================================
+// SCROLL TO REEL
+// =============================================================================
+
+// Longest a scroll-to-reel request keeps scrolling before giving up
+const SCROLL_TO_REEL_TIMEOUT = 20000;
+
+// Wait for rows to render after each scroll step in the middle of the thread
+const SCROLL_TO_REEL_STEP_WAIT = 800;
+
+// Steps to wait for a reel that should be rendered between its neighbours
+const SCROLL_TO_REEL_SETTLE_STEPS = 3;
+
+// Share of the visible height scrolled per step
+const SCROLL_TO_REEL_FRACTION = 0.8;
+
+// Incremented per request so a newer request stops an older one
+let scrollToReelRequestId = 0;
+
+/**
+ * Check whether the list is scrolled to its newest message
+ * @param {Element} scroller - Scrollable message list
+ * @returns {boolean} True if there is nothing further down to scroll to
+ */
+function isScrolledToBottom(scroller) {
+  if (window.getComputedStyle(scroller).flexDirection === 'column-reverse') {
+    return scroller.scrollTop >= -1;
+  }
+  return scroller.scrollTop >= scroller.scrollHeight - scroller.clientHeight - 1;
+}
+
+/**
+ * Check whether a reel's sent time is precise enough to order it against others
+ * Day-level times can put a reel on the wrong side of its neighbours
+ * @param {Object} reel - Reel entry
+ * @returns {boolean} True if the sent time is finer than a day
+ */
+function hasOrderableSentTime(reel) {
+  return Boolean(reel.sentAt) &&
+    (TIMESTAMP_CONFIDENCE_RANK[reel.sentAtConfidence] || 0) > TIMESTAMP_CONFIDENCE_RANK[TIMESTAMP_CONFIDENCE.LOW];
+}
+
+/**
+ * Work out which way to scroll to bring a reel into the rendered rows
+ * Compares the reel's sent time with the rendered reels around it
+ * @param {Object} target - Reel entry to reach
+ * @param {Map} renderedReels - Index from indexRenderedReels
+ * @param {Map} reelsById - Result of getConversationReels
+ * @returns {string|null} 'up' for older messages, 'down' for newer, 'between' if it lies
+ *   between rendered reels, null if the sent times cannot place it
+ */
+function getScrollDirection(target, renderedReels, reelsById) {
+  const renderedTimes = [];
+  renderedReels.forEach((element, reelId) => {
+    const reel = reelsById.get(reelId);
+    if (reel && hasOrderableSentTime(reel)) {
+      renderedTimes.push(reel.sentAt);
+    }
+  });
+
+  if (!hasOrderableSentTime(target) || renderedTimes.length === 0) {
+    return null;
+  }
+  if (target.sentAt < Math.min(...renderedTimes)) {
+    return 'up';
+  }
+  if (target.sentAt > Math.max(...renderedTimes)) {
+    return 'down';
+  }
+  return 'between';
+}
+
+/**
+ * Scroll the thread until a reel's message is rendered, then centre it
+ * Works for reels whose rows Instagram has removed or not loaded yet
+ * @param {string} reelId - The reel ID
+ * @param {Object} options - Scroll options
+ * @param {number} options.timeout - Longest time to keep scrolling, in milliseconds
+ * @returns {Promise<Object>} Result with found and steps, or success false and the reason
+ */
+async function scrollToReel(reelId, { timeout = SCROLL_TO_REEL_TIMEOUT } = {}) {
+  const requestId = ++scrollToReelRequestId;
+  const conversationId = getCurrentConversationId();
+  const deadline = Date.now() + timeout;
+  let steps = 0;
+
+  const fail = reason => {
+    log.navigation.info(`Could not scroll to reel ${reelId} after ${steps} steps: ${reason}`);
+    return { success: false, found: false, reelId, steps, error: reason };
+  };
+
+  try {
+    if (backfillState && backfillState.status === 'running') {
+      return fail('A backfill scan is scrolling the thread');
+    }
+
+    const reelsById = await getConversationReels();
+    const target = reelsById.get(reelId);
+    if (!target) {
+      return fail('Reel is not tracked in this conversation');
+    }
+
+    const exhausted = new Set();
+    let settleSteps = 0;
+    let sweeping = false;
+
+    while (Date.now() < deadline) {
+      if (requestId !== scrollToReelRequestId) {
+        return fail('Replaced by a newer scroll request');
+      }
+      if (getCurrentConversationId() !== conversationId) {
+        return fail('Conversation changed');
+      }
+
+      const renderedReels = indexRenderedReels();
+      const element = resolveReelElement(target, renderedReels);
+      if (element) {
+        currentNavigationReelId = reelId;
+        scrollToReelElement(element);
+        log.navigation.info(`Scrolled to reel ${reelId} after ${steps} steps`);
+        return { success: true, found: true, reelId, steps };
+      }
+
+      const messagesContainer = findMessagesContainer();
+      const scroller = messagesContainer && findMessageScroller(messagesContainer);
+      if (!scroller) {
+        return fail('Could not find the message list');
+      }
+
+      let direction = sweeping ? null : getScrollDirection(target, renderedReels, reelsById);
+      if (direction === 'between' && settleSteps < SCROLL_TO_REEL_SETTLE_STEPS) {
+        // Its row may still be rendering
+        settleSteps++;
+        await new Promise(resolve => setTimeout(resolve, SCROLL_TO_REEL_STEP_WAIT));
+        continue;
+      }
+      if (direction === null || direction === 'between') {
+        // The sent times cannot place the reel, so sweep the whole thread: older history
+        // first, as a thread opens at its newest messages, then newer. Sweeping stays on
+        // so the times cannot turn it back and forth
+        sweeping = true;
+        direction = 'up';
+      }
+
+      // Once one end is reached without finding the reel, its sent time was off; try the other way
+      if (exhausted.has(direction)) {
+        direction = direction === 'up' ? 'down' : 'up';
+      }
+      if (exhausted.has(direction)) {
+        return fail('Reel is no longer in the conversation');
+      }
+
+      const atEnd = direction === 'up' ? isScrolledToTop(scroller) : isScrolledToBottom(scroller);
+      const wait = Math.min(atEnd ? BACKFILL_LOAD_TIMEOUT : SCROLL_TO_REEL_STEP_WAIT, Math.max(deadline - Date.now(), 0));
+      const rowsAdded = waitForOlderRows(scroller, wait);
+      scroller.scrollBy({ top: (direction === 'up' ? -1 : 1) * scroller.clientHeight * SCROLL_TO_REEL_FRACTION });
+      steps++;
+
+      if (!(await rowsAdded) && atEnd) {
+        exhausted.add(direction);
+      }
+    }
+
+    return fail(`Timed out after ${Math.round(timeout / 1000)}s`);
+
+  } catch (error) {
+    log.navigation.error('Error scrolling to reel:', error);
+    return { success: false, found: false, reelId, steps, error: error.message };
+  }
+}
+
+/**
+ * Handle scroll to reel request
+ * @param {Object} message - Message with reelId and optional timeout
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleScrollToReel(message, sendResponse) {
+  try {
+    if (!message.reelId) {
+      sendResponse({ success: false, error: 'No reel ID provided' });
+      return;
+    }
+    if (!isInitialized || !isInstagramDMPage()) {
+      sendResponse({ success: false, error: 'Tracking is not active on this page' });
+      return;
+    }
+
+    sendResponse(await scrollToReel(message.reelId, { timeout: message.timeout || SCROLL_TO_REEL_TIMEOUT }));
+
+  } catch (error) {
+    log.navigation.error('Error handling scroll to reel request:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// =============================================================================
+// KEYBOARD SHORTCUTS
+// =============================================================================
+
+// Plain keys handled on the page, for when the browser shortcuts are unassigned
+const IN_PAGE_SHORTCUTS = {
+  j: 'next',
+  k: 'previous',
+  w: 'markWatched'
+};
+
+/**
+ * Find the reel the user is on: the navigation cursor if it is rendered,
+ * otherwise the visible reel nearest the middle of the viewport
+ * @returns {Promise<Object|null>} Navigable entry with reel and element, or null
+ */
+async function findCurrentReel() {
+  const navigableReels = await getNavigableReels();
+  const cursor = navigableReels.find(({ reel }) => reel.reelId === currentNavigationReelId);
+  if (cursor) {
+    return cursor;
+  }
+
+  const viewportMiddle = window.innerHeight / 2;
+  let closest = null;
+  let closestDistance = Infinity;
+
+  navigableReels.forEach(entry => {
+    const rect = entry.element.getBoundingClientRect();
+    if (rect.bottom < 0 || rect.top > window.innerHeight) {
+      return;
+    }
+
+    const distance = Math.abs(rect.top + rect.height / 2 - viewportMiddle);
+    if (distance < closestDistance) {
+      closest = entry;
+      closestDistance = distance;
+    }
+  });
+
+  return closest;
+}
+
+/**
+ * Mark the reel the user is on as watched
+ * @returns {Promise<Object>} Result of the watch state change
+ */
+async function markCurrentReelWatched() {
+  const current = await findCurrentReel();
+  if (!current) {
+    return { success: false, error: 'No reel in view' };
+  }
+
+  currentNavigationReelId = current.reel.reelId;
+  return setReelWatchState(current.reel.reelId, WATCH_STATES.WATCHED);
+}
+
+/**
+ * Run a shortcut from the browser commands or the in-page keys
+ * @param {string} command - next, previous or markWatched
+ * @returns {Promise<Object>} Result of the command
+ */
+async function runShortcutCommand(command) {
+  if (!isInitialized || !isInstagramDMPage()) {
+    return { success: false, error: 'Tracking is not active on this page' };
+  }
+
+  log.navigation.debug('Shortcut:', command);
+
+  switch (command) {
+    case 'next':
+    case 'previous':
+      return navigateToUnwatchedReel(command);
+    case 'markWatched':
+      return markCurrentReelWatched();
+    default:
+      return { success: false, error: `Unknown shortcut: ${command}` };
+  }
+}
+
+/**
+ * Check whether keystrokes on an element are meant as text, as in the message composer
+ * @param {Element} element - Focused element or event target
+ * @returns {boolean} True if the element takes text input
+ */
+function isTextEntryElement(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+    return false;
+  }
+
+  return element.matches('input, textarea, select, [contenteditable=""], [contenteditable="true"], [role="textbox"]') ||
+    element.isContentEditable;
+}
+
+/**
+ * Handle the in-page shortcut keys
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleShortcutKeydown(event) {
+  if (!extensionSettings.inPageShortcuts || !isInitialized || event.defaultPrevented || event.repeat) {
+    return;
+  }
+  if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) {
+    return;
+  }
+  // Synthetic and some autofill events carry no key
+  if (typeof event.key !== 'string') {
+    return;
+  }
+  if (isTextEntryElement(event.target) || isTextEntryElement(document.activeElement)) {
+    return;
+  }
+
+  const command = IN_PAGE_SHORTCUTS[event.key.toLowerCase()];
+  if (!command) {
+    return;
+  }
+
+  event.preventDefault();
+  event.stopPropagation();
+  runShortcutCommand(command)
+    .then(scheduleNavigatorRefresh)
+    .catch(error => log.navigation.error('Error running in-page shortcut:', error));
+}
+
+/**
+ * Handle a shortcut routed from the service worker
+ * @param {Object} message - Message with the shortcut command
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleRunShortcut(message, sendResponse) {
+  try {
+    sendResponse(await runShortcutCommand(message.command));
+    scheduleNavigatorRefresh();
+  } catch (error) {
+    log.navigation.error('Error handling shortcut:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Capture phase so Instagram's own key handlers don't swallow the keys first
+document.addEventListener('keydown', handleShortcutKeydown, true);
+
+// =============================================================================
+// NAVIGATOR OVERLAY
+// =============================================================================
+
+// Where the user last dragged the overlay; each Instagram account keeps its own
+// position, shared by that account's DM tabs (see getNavigatorPositionKey)
+const NAVIGATOR_POSITION_KEY = 'navigatorPosition';
+
+// Gap kept between the overlay, the conversation and the viewport edges
+const NAVIGATOR_MARGIN = 16;
+
+// Batches bursts of reel changes into one redraw
+const NAVIGATOR_REFRESH_DELAY = 300;
+
+// How long a button's result stays in the status line
+const NAVIGATOR_STATUS_DURATION = 3000;
+
+// Styles live in the shadow root so Instagram's stylesheets can't reach the overlay
+const NAVIGATOR_STYLES = `
+  :host { all: initial; }
+  .panel {
+    width: 240px;
+    font: 12px/1.4 Arial, sans-serif;
+    color: #212529;
+    background: #fff;
+    border: 1px solid #dee2e6;
+    border-radius: 8px;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
+    overflow: hidden;
+  }
+  .header {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    padding: 6px 8px;
+    color: #fff;
+    background: linear-gradient(45deg, #833AB4, #E1306C);
+    cursor: move;
+    user-select: none;
+    touch-action: none;
+  }
+  .title { font-weight: bold; }
+  .counter { flex: 1; text-align: right; }
+  .collapse {
+    border: none;
+    background: none;
+    color: inherit;
+    font-size: 12px;
+    cursor: pointer;
+    padding: 0 2px;
+  }
+  .controls { display: flex; gap: 4px; padding: 6px 8px; }
+  .controls button {
+    flex: 1;
+    padding: 4px 0;
+    font: inherit;
+    border: 1px solid #dee2e6;
+    border-radius: 4px;
+    background: #f8f9fa;
+    cursor: pointer;
+  }
+  .controls button:disabled { opacity: 0.5; cursor: default; }
+  .status { display: none; padding: 0 8px 6px; color: #6c757d; }
+  .reel-list {
+    list-style: none;
+    margin: 0;
+    padding: 0 0 4px;
+    max-height: 220px;
+    overflow-y: auto;
+  }
+  .reel-row {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    padding: 3px 8px;
+    cursor: pointer;
+  }
+  .reel-row:hover { background: #f1f3f5; }
+  .reel-row.current { background: #fce4ec; }
+  .reel-row.watched, .reel-row.own { color: #adb5bd; }
+  .dot { flex: none; width: 7px; height: 7px; border-radius: 50%; background: #E1306C; }
+  .watched .dot, .own .dot { background: #ced4da; }
+  .label { flex: 1; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+  .time { flex: none; color: #868e96; }
+  .empty { padding: 4px 8px 8px; color: #6c757d; }
+  .collapsed .reel-list, .collapsed .empty { display: none; }
+`;
+
+const NAVIGATOR_MARKUP = `
+  <div class="panel">
+    <div class="header" title="Drag to move">
+      <span class="title">Reels</span>
+      <span class="counter">0 unwatched</span>
+      <button class="collapse" title="Hide the reel list">▾</button>
+    </div>
+    <div class="controls">
+      <button data-command="previous" title="Previous unwatched reel">▲ Prev</button>
+      <button data-command="next" title="Next unwatched reel">▼ Next</button>
+      <button data-command="markWatched" title="Mark the current reel as watched">✓ Watched</button>
+    </div>
+    <div class="status"></div>
+    <ul class="reel-list"></ul>
+    <div class="empty">No reels found in this conversation yet</div>
+  </div>
+`;
+
+// Shadow host and the parts of the overlay that change, null until first shown
+let navigatorOverlay = null;
+
+let navigatorRefreshTimer = null;
+
+/**
+ * Build the overlay in a shadow root and add it to the page
+ * @returns {Object} Overlay parts: host, panel, counter, status, list and empty message
+ */
+function createNavigatorOverlay() {
+  const host = document.createElement('div');
+  host.id = 'ig-reel-tracker-navigator';
+  host.style.position = 'fixed';
+  host.style.zIndex = '2147483000';
+  host.style.left = '0';
+  host.style.top = '0';
+  host.style.visibility = 'hidden'; // Until restoreNavigatorPosition places it
+
+  const root = host.attachShadow({ mode: 'open' });
+  root.innerHTML = `<style>${NAVIGATOR_STYLES}</style>${NAVIGATOR_MARKUP}`;
+
+  const overlay = {
+    host: host,
+    panel: root.querySelector('.panel'),
+    counter: root.querySelector('.counter'),
+    status: root.querySelector('.status'),
+    list: root.querySelector('.reel-list'),
+    empty: root.querySelector('.empty'),
+    statusTimer: null
+  };
+
+  root.querySelector('.header').addEventListener('pointerdown', startNavigatorDrag);
+
+  root.querySelector('.collapse').addEventListener('click', event => {
+    const collapsed = overlay.panel.classList.toggle('collapsed');
+    event.currentTarget.textContent = collapsed ? '▸' : '▾';
+    event.currentTarget.title = collapsed ? 'Show the reel list' : 'Hide the reel list';
+  });
+
+  root.querySelectorAll('[data-command]').forEach(button => {
+    button.addEventListener('click', () => runNavigatorAction(() => runShortcutCommand(button.dataset.command)));
+  });
+
+  overlay.list.addEventListener('click', event => {
+    const row = event.target.closest('[data-reel-id]');
+    if (row) {
+      runNavigatorAction(() => scrollToReel(row.dataset.reelId));
+    }
+  });
+
+  document.body.append(host);
+  return overlay;
+}
+
+/**
+ * Move the overlay, keeping it inside the viewport
+ * @param {number} left - Distance from the left edge in pixels
+ * @param {number} top - Distance from the top edge in pixels
+ */
+function positionNavigator(left, top) {
+  const { host } = navigatorOverlay;
+  const maxLeft = Math.max(window.innerWidth - host.offsetWidth - NAVIGATOR_MARGIN, NAVIGATOR_MARGIN);
+  const maxTop = Math.max(window.innerHeight - host.offsetHeight - NAVIGATOR_MARGIN, NAVIGATOR_MARGIN);
+  host.style.left = `${Math.min(Math.max(left, NAVIGATOR_MARGIN), maxLeft)}px`;
+  host.style.top = `${Math.min(Math.max(top, NAVIGATOR_MARGIN), maxTop)}px`;
+}
+
+/**
+ * Work out where the overlay goes before the user has moved it
+ * Sits inside the right edge of the conversation, or the viewport if the conversation isn't found
+ * @returns {Object} Position as { left, top } in pixels
+ */
+function getDefaultNavigatorPosition() {
+  const messagesContainer = findMessagesContainer();
+  const rect = messagesContainer ? messagesContainer.getBoundingClientRect() : null;
+  const right = rect && rect.width > 0 ? rect.right : window.innerWidth;
+  const top = rect && rect.height > 0 ? rect.top : 0;
+
+  return {
+    left: right - navigatorOverlay.host.offsetWidth - NAVIGATOR_MARGIN,
+    top: top + NAVIGATOR_MARGIN
+  };
+}
+
+/**
+ * Get the storage key for the overlay position of the logged-in account
+ * Instagram keeps the account's user ID in the ds_user_id cookie; when it can't be read,
+ * every account on this browser profile shares the unsuffixed key
+ * @returns {string} Storage key
+ */
+function getNavigatorPositionKey() {
+  const match = document.cookie.match(/(?:^|;\s*)ds_user_id=(\d+)/);
+  return match ? `${NAVIGATOR_POSITION_KEY}_${match[1]}` : NAVIGATOR_POSITION_KEY;
+}
+
+/**
+ * Put the overlay where the user last left it
+ * @returns {Promise<void>}
+ */
+async function restoreNavigatorPosition() {
+  try {
+    const positionKey = getNavigatorPositionKey();
+    const result = await chrome.storage.local.get([positionKey]);
+    const position = result[positionKey] || getDefaultNavigatorPosition();
+    positionNavigator(position.left, position.top);
+  } catch (error) {
+    log.navigation.warn('Could not restore navigator position:', error);
+    const position = getDefaultNavigatorPosition();
+    positionNavigator(position.left, position.top);
+  }
+  navigatorOverlay.host.style.visibility = '';
+}
+
+/**
+ * Drag the overlay by its header and remember where it is dropped
+ * @param {PointerEvent} event - Pointerdown event on the header
+ */
+function startNavigatorDrag(event) {
+  if (event.button !== 0 || event.target.closest('button')) {
+    return;
+  }
+
+  const handle = event.currentTarget;
+  const rect = navigatorOverlay.host.getBoundingClientRect();
+  const offsetX = event.clientX - rect.left;
+  const offsetY = event.clientY - rect.top;
+
+  const move = moveEvent => positionNavigator(moveEvent.clientX - offsetX, moveEvent.clientY - offsetY);
+  const end = () => {
+    handle.removeEventListener('pointermove', move);
+    handle.removeEventListener('pointerup', end);
+    handle.removeEventListener('pointercancel', end);
+
+    const { host } = navigatorOverlay;
+    chrome.storage.local.set({
+      [getNavigatorPositionKey()]: { left: host.offsetLeft, top: host.offsetTop }
+    }).catch(error => log.navigation.warn('Could not save navigator position:', error));
+  };
+
+  handle.setPointerCapture(event.pointerId);
+  handle.addEventListener('pointermove', move);
+  handle.addEventListener('pointerup', end);
+  handle.addEventListener('pointercancel', end);
+  event.preventDefault();
+}
+
+/**
+ * Check whether the overlay is on the page and visible
+ * @returns {boolean} True if the overlay is shown
+ */
+function isNavigatorVisible() {
+  return Boolean(navigatorOverlay && navigatorOverlay.host.isConnected && navigatorOverlay.host.style.display !== 'none');
+}
+
+/**
+ * Show the overlay on tracked DM pages and hide it everywhere else
+ * Called on route changes, tracking changes and settings changes
+ */
+function updateNavigatorOverlay() {
+  try {
+    const shouldShow = extensionSettings.showNavigator && isInitialized && isInstagramDMPage();
+
+    if (!shouldShow) {
+      if (navigatorOverlay) {
+        navigatorOverlay.host.style.display = 'none';
+      }
+      return;
+    }
+
+    if (!navigatorOverlay || !navigatorOverlay.host.isConnected) {
+      navigatorOverlay = createNavigatorOverlay();
+      restoreNavigatorPosition();
     }
+
+    navigatorOverlay.host.style.display = '';
+    scheduleNavigatorRefresh();
   } catch (error) {
-    console.error('[IG Reel Tracker] Error handling message:', error);
-    sendResponse({ success: false, error: error.message });
+    log.navigation.error('Error updating navigator overlay:', error);
   }
-  
-  return true; // Keep message channel open for async response
-});
+}
 
 /**
- * Get current page information
- * @param {Function} sendResponse - Response callback
+ * Redraw the overlay shortly, batching calls that arrive close together
  */
-function handleGetPageInfo(sendResponse) {
-  try {
-    const pageInfo = {
-      url: window.location.href,
-      isInstagramDM: isInstagramDMPage(),
-      title: document.title,
-      timestamp: Date.now()
-    };
-    
-    console.log('[IG Reel Tracker] Page info requested:', pageInfo);
-    sendResponse({ success: true, pageInfo });
-  } catch (error) {
-    console.error('[IG Reel Tracker] Error getting page info:', error);
-    sendResponse({ success: false, error: error.message });
+function scheduleNavigatorRefresh() {
+  if (!isNavigatorVisible()) {
+    return;
   }
+
+  clearTimeout(navigatorRefreshTimer);
+  navigatorRefreshTimer = setTimeout(refreshNavigatorOverlay, NAVIGATOR_REFRESH_DELAY);
 }
 
 /**
- * Refresh tracking system
- * @param {Function} sendResponse - Response callback
+ * Fill the overlay with the current conversation's reels, oldest first
+ * @returns {Promise<void>}
  */
-function handleRefreshTracking(sendResponse) {
+async function refreshNavigatorOverlay() {
+  navigatorRefreshTimer = null;
+
   try {
-    console.log('[IG Reel Tracker] Refreshing tracking system...');
-    
-    if (isInstagramDMPage()) {
-      setupMutationObserver();
-      sendResponse({ success: true, message: 'Tracking refreshed' });
-    } else {
-      sendResponse({ success: false, error: 'Not on Instagram DM page' });
+    if (!isNavigatorVisible()) {
+      return;
+    }
+
+    const reels = Array.from((await getConversationReels()).values())
+      .sort((a, b) => getReelSentTime(a) - getReelSentTime(b));
+    const unwatchedCount = reels.filter(isNavigationTarget).length;
+
+    navigatorOverlay.counter.textContent = `${unwatchedCount} unwatched`;
+    navigatorOverlay.list.replaceChildren(...reels.map(createNavigatorRow));
+    navigatorOverlay.empty.style.display = reels.length === 0 ? 'block' : 'none';
+
+    const currentRow = navigatorOverlay.list.querySelector('.current');
+    if (currentRow) {
+      currentRow.scrollIntoView({ block: 'nearest' });
     }
   } catch (error) {
-    console.error('[IG Reel Tracker] Error refreshing tracking:', error);
-    sendResponse({ success: false, error: error.message });
+    log.navigation.warn('Could not refresh navigator overlay:', error);
   }
 }
 
 /**
- * Handle reel detection request
- * @param {Function} sendResponse - Response callback
+ * Build one row of the overlay's reel list
+ * @param {Object} reel - Reel entry
+ * @returns {Element} List item that scrolls to the reel when clicked
  */
-function handleDetectReels(sendResponse) {
+function createNavigatorRow(reel) {
+  const row = document.createElement('li');
+  row.className = 'reel-row';
+  row.dataset.reelId = reel.reelId;
+  row.title = reel.caption || 'Show this reel in the conversation';
+  row.classList.toggle('watched', !isReelUnwatched(reel));
+  row.classList.toggle('own', isOwnReel(reel));
+  row.classList.toggle('current', reel.reelId === currentNavigationReelId);
+
+  const dot = document.createElement('span');
+  dot.className = 'dot';
+
+  const label = document.createElement('span');
+  label.className = 'label';
+  label.textContent = reel.authorHandle ? `@${reel.authorHandle}` : (reel.caption || reel.reelId);
+
+  const time = document.createElement('span');
+  time.className = 'time';
+  time.textContent = new Date(getReelSentTime(reel)).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+  row.append(dot, label, time);
+  return row;
+}
+
+/**
+ * Run an overlay action with the buttons disabled, then show its outcome
+ * @param {Function} action - Async function resolving to a { success, error } result
+ * @returns {Promise<void>}
+ */
+async function runNavigatorAction(action) {
+  const buttons = navigatorOverlay.panel.querySelectorAll('[data-command]');
+  buttons.forEach(button => { button.disabled = true; });
+
   try {
-    console.log('[IG Reel Tracker] Reel detection requested...');
-    
-    if (!isInstagramDMPage()) {
-      sendResponse({ success: false, error: 'Not on Instagram DM page' });
-      return;
+    const result = await action();
+    if (!result.success) {
+      showNavigatorStatus(result.error || 'Something went wrong');
+    } else if (result.found === false) {
+      showNavigatorStatus(result.message || 'No more unwatched reels');
     }
-    
-    const reelMessages = detectAndLogReels();
-    sendResponse({ 
-      success: true, 
-      message: 'Reel detection completed',
-      reelCount: reelMessages.length,
-      reels: reelMessages
-    });
-    
   } catch (error) {
-    console.error('[IG Reel Tracker] Error handling reel detection request:', error);
-    sendResponse({ success: false, error: error.message });
+    log.navigation.error('Error running navigator action:', error);
+    showNavigatorStatus(error.message);
+  } finally {
+    buttons.forEach(button => { button.disabled = false; });
+    scheduleNavigatorRefresh();
   }
 }
 
 /**
- * Handle get reel data request
- * @param {Function} sendResponse - Response callback
+ * Show a short message under the overlay's buttons
+ * @param {string} text - Message to show
  */
-function handleGetReelData(sendResponse) {
-  try {
-    console.log('[IG Reel Tracker] Reel data requested...');
-    
-    chrome.storage.local.get(['detectedReels', 'lastDetectionTime'], (result) => {
-      if (chrome.runtime.lastError) {
-        console.error('[IG Reel Tracker] Storage error:', chrome.runtime.lastError);
-        sendResponse({ success: false, error: 'Storage access failed' });
-        return;
-      }
-      
-      const reelData = {
-        reels: result.detectedReels || [],
-        lastDetectionTime: result.lastDetectionTime || null,
-        totalCount: (result.detectedReels || []).length
-      };
-      
-      console.log('[IG Reel Tracker] Retrieved reel data:', reelData);
-      sendResponse({ success: true, data: reelData });
-    });
-    
-  } catch (error) {
-    console.error('[IG Reel Tracker] Error handling get reel data request:', error);
-    sendResponse({ success: false, error: error.message });
-  }
+function showNavigatorStatus(text) {
+  const { status } = navigatorOverlay;
+  status.textContent = text;
+  status.style.display = 'block';
+
+  clearTimeout(navigatorOverlay.statusTimer);
+  navigatorOverlay.statusTimer = setTimeout(() => {
+    status.style.display = 'none';
+  }, NAVIGATOR_STATUS_DURATION);
 }
 
+// Keep the overlay on screen when the window shrinks
+window.addEventListener('resize', () => {
+  if (isNavigatorVisible()) {
+    positionNavigator(navigatorOverlay.host.offsetLeft, navigatorOverlay.host.offsetTop);
+  }
+});
+
+// =============================================================================
+// SPA NAVIGATION
+// =============================================================================
+
+// Event dispatched by history-hook.js when Instagram calls pushState/replaceState
+const LOCATION_CHANGE_EVENT = 'ig-reel-tracker:locationchange';
+
+// Fallback polling for route changes the history hook misses
+const ROUTE_POLL_INTERVAL = 1000;
+
+// Delay before rescanning a newly opened thread, giving Instagram time to render it
+const ROUTE_CHANGE_RESCAN_DELAY = 1500;
+
+let lastKnownUrl = window.location.href;
+
 /**
- * Handle begin initialization request
- * @param {Function} sendResponse - Response callback
+ * Write any debounced reel data now, while it still belongs to the active thread
  */
-async function handleBeginInitialization(sendResponse) {
-  try {
-    console.log('[IG Reel Tracker] Begin initialization requested...');
-    
-    if (isInitialized) {
-      console.log('[IG Reel Tracker] Extension already initialized');
-      sendResponse({ success: true, message: 'Extension already initialized' });
-      return;
-    }
-    
-    const result = await initializeContentScript();
-    sendResponse(result);
-    
-  } catch (error) {
-    console.error('[IG Reel Tracker] Error handling begin initialization request:', error);
-    sendResponse({ success: false, error: error.message });
+function flushPendingPersistence() {
+  if (storageDebounceTimer) {
+    log.navigation.debug('Flushing pending reel data for', activeConversationId);
+    persistReelData(true);
   }
 }
 
 /**
- * Handle get status request
- * @param {Function} sendResponse - Response callback
+ * Drop the in-memory reel state of the current thread
  */
-function handleGetStatus(sendResponse) {
-  try {
-    console.log('[IG Reel Tracker] Status requested...');
-    
-    const status = {
-      isInitialized: isInitialized,
-      isOnDMPage: isInstagramDMPage(),
-      hasMutationObserver: mutationObserver !== null,
-      url: window.location.href
-    };
-    
-    console.log('[IG Reel Tracker] Current status:', status);
-    sendResponse({ success: true, ...status });
-    
-  } catch (error) {
-    console.error('[IG Reel Tracker] Error handling get status request:', error);
-    sendResponse({ success: false, error: error.message });
+function resetConversationState() {
+  clearPendingMutations();
+  clearReelAnchors();
+  detectedReelsMap.clear();
+  currentNavigationReelId = null;
+  teardownDwellObserver();
+}
+
+/**
+ * Save pending reel data and stop observing the page
+ * Used when leaving the DMs and when tracking is switched off
+ */
+function suspendTracking() {
+  flushPendingPersistence();
+  resetConversationState();
+  activeConversationId = null;
+  if (mutationObserver) {
+    mutationObserver.disconnect();
+    mutationObserver = null;
   }
 }
 
 /**
- * Handle page navigation changes
+ * Switch tracking to another conversation
+ * @param {string} conversationId - Conversation now shown on the page
+ */
+function handleConversationChange(conversationId) {
+  log.navigation.info(`Conversation changed: ${activeConversationId} -> ${conversationId}`);
+  
+  flushPendingPersistence();
+  resetConversationState();
+  activeConversationId = conversationId;
+  
+  setupMutationObserver();
+  applyAutoMarkSettings();
+  updateNavigatorOverlay();
+  
+  // The old thread's rows can still be on the page now, so the new thread's
+  // rendered reels are tracked by this delayed rescan rather than right away
+  setTimeout(() => {
+    if (activeConversationId === conversationId) {
+      log.navigation.debug('Rescanning after conversation change...');
+      detectAndLogReels();
+    }
+  }, ROUTE_CHANGE_RESCAN_DELAY);
+}
+
+/**
+ * Compare the current URL against the last one seen and react to route changes
+ * Called from the history hook event, popstate, polling and DOM mutations
  */
-function handlePageNavigation() {
+function checkForRouteChange() {
   try {
-    console.log('[IG Reel Tracker] Page navigation detected');
+    const currentUrl = window.location.href;
+    if (currentUrl === lastKnownUrl) {
+      return;
+    }
+    lastKnownUrl = currentUrl;
+    log.navigation.info('Page navigation detected:', currentUrl);
     
-    // Re-initialize if navigated to DM page
-    if (isInstagramDMPage()) {
-      console.log('[IG Reel Tracker] Navigated to DM page, reinitializing...');
-      setTimeout(initializeContentScript, 1000); // Delay for Instagram's SPA navigation
+    if (!isInstagramDMPage()) {
+      // Left the DMs: save what we have and stop tracking until the user comes back
+      if (isInitialized && activeConversationId) {
+        suspendTracking();
+      }
+      updateNavigatorOverlay();
+      return;
+    }
+    
+    if (!isInitialized) {
+      autoInitialize();
+      return;
+    }
+    
+    const conversationId = getCurrentConversationId();
+    if (conversationId !== activeConversationId) {
+      handleConversationChange(conversationId);
     }
   } catch (error) {
-    console.error('[IG Reel Tracker] Error handling page navigation:', error);
+    log.navigation.error('Error handling page navigation:', error);
   }
 }
 
 // Listen for Instagram's SPA navigation
-window.addEventListener('popstate', handlePageNavigation);
+window.addEventListener(LOCATION_CHANGE_EVENT, checkForRouteChange);
+window.addEventListener('popstate', checkForRouteChange);
+setInterval(checkForRouteChange, ROUTE_POLL_INTERVAL);
 
-// Don't auto-initialize - wait for user to click "Begin Initialization"
-console.log('[IG Reel Tracker] Content script loaded - waiting for initialization request');
+// Start tracking right away unless the user chose manual initialization
+autoInitialize();
 
-console.log('[IG Reel Tracker] Content script loaded successfully');
+log.lifecycle.info('Content script loaded successfully');
 
 // Expose reel detection function globally for console testing
 window.igReelTracker = {
   detectReels: () => {
     if (!isInitialized) {
-      console.warn('[IG Reel Tracker] Extension not initialized. Please click "Begin Initialization" in the popup first.');
+      log.lifecycle.warn('Extension not initialized. Please click "Begin Initialization" in the popup first.');
       return [];
     }
     return detectAndLogReels();
   },
-  getReelData: () => {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['detectedReels', 'lastDetectionTime'], (result) => {
-        resolve({
-          reels: result.detectedReels || [],
-          lastDetectionTime: result.lastDetectionTime || null,
-          totalCount: (result.detectedReels || []).length
-        });
-      });
-    });
-  },
+  getReelData: getCurrentReelData,
   isOnDMPage: isInstagramDMPage,
   isInitialized: () => isInitialized,
   initialize: async () => {
     if (isInitialized) {
-      console.log('[IG Reel Tracker] Extension already initialized');
+      log.lifecycle.info('Extension already initialized');
       return true;
     }
-    console.log('[IG Reel Tracker] Manual initialization requested');
-    const result = await initializeContentScript();
+    log.lifecycle.info('Manual initialization requested');
+    const result = await initializeOnce();
     return result.success;
   },
-  
+  nextUnwatchedReel: () => navigateToUnwatchedReel('next'),
+  previousUnwatchedReel: () => navigateToUnwatchedReel('previous'),
+  scrollToReel: (reelId, options) => scrollToReel(reelId, options),
+  setWatchState: (reelId, watchState) => setReelWatchState(reelId, watchState),
+  promoteSelector: (selector, group = SELECTOR_GROUPS.REELS) => promoteSelector(group, selector),
+  getSelectorDrift: () => getSelectorDriftEvents(),
+  getSessionSelector: () => sessionReelSelector,
+  getLogs: () => getLogEntries().map(formatLogEntry).join('\n'),
+
   // =============================================================================
   // DEBUG HELPERS
   // =============================================================================
@@ -2045,17 +5201,7 @@ window.igReelTracker = {
       summary.videoElementsCount = videoElements.length;
       
       // Test reel detection selectors
-      const reelSelectors = [
-        'a[href*="/reel/"]',
-        'a[href*="/reels/"]', 
-        'a[href*="instagram.com/reel"]',
-        'div[role="row"] video',
-        'div[role="button"]:has(video)',
-        '[role="button"] video',
-        'div[style*="aspect-ratio"] video',
-        'video[src*="instagram"]',
-        'video[src*="cdninstagram"]'
-      ];
+      const reelSelectors = getSelectors(SELECTOR_GROUPS.REELS);
       
       let totalReelElements = 0;
       reelSelectors.forEach(selector => {
@@ -2201,9 +5347,10 @@ window.igReelTracker = {
   /**
    * Test a specific selector within the messages container
    * @param {string} selector - CSS selector to test
+   * @param {boolean} promote - Add the selector to the reel registry if it finds valid reels
    * @returns {Object} Results of selector test
    */
-  testSelector: (selector) => {
+  testSelector: (selector, promote = false) => {
     try {
       console.info(`%c[IG Reel Tracker Debug] Testing selector: ${selector}`, 'color: #4285f4; font-weight: bold');
       
@@ -2284,6 +5431,10 @@ window.igReelTracker = {
         console.info(`%c  ✅ Valid elements: ${results.validElements}`, 'color: #34a853');
         console.info(`%c  ❌ Invalid elements: ${results.invalidElements}`, 'color: #ea4335');
         
+        if (promote) {
+          results.promoted = promoteWorkingSelector(selector, results.validElements);
+        }
+        
         return results;
         
       } catch (selectorError) {
@@ -2298,24 +5449,6 @@ window.igReelTracker = {
   }
 };
 
-console.log('[IG Reel Tracker] Global functions available:');
-console.log('[IG Reel Tracker] - window.igReelTracker.initialize() - Manual initialization');
-console.log('[IG Reel Tracker] - window.igReelTracker.detectReels() - Detect reels (requires initialization)');
-console.log('[IG Reel Tracker] - window.igReelTracker.getReelData() - Get stored reel data');
-console.log('[IG Reel Tracker] - window.igReelTracker.isOnDMPage() - Check if on Instagram DM page');
-console.log('[IG Reel Tracker] - window.igReelTracker.isInitialized() - Check initialization status');
-console.log('');
-console.log('%c[IG Reel Tracker] 🛠️  DEBUG FUNCTIONS AVAILABLE:', 'color: #4285f4; font-weight: bold');
-console.log('%c[IG Debug] - window.igReelTracker.inspectMessages() - Inspect messages container', 'color: #4285f4');
-console.log('%c[IG Debug] - window.igReelTracker.highlightReels() - Visually highlight detected reels', 'color: #4285f4');
-console.log('%c[IG Debug] - window.igReelTracker.testSelector("selector") - Test a specific CSS selector', 'color: #4285f4');
-console.log('%c[IG Debug] - window.igReelTracker.highlightReels(false) - Remove highlights', 'color: #4285f4');
-console.log('');
-console.log('%c[IG Debug] 💡 USAGE EXAMPLES:', 'color: #fbbc04; font-weight: bold');
-console.log('%c[IG Debug]   window.igReelTracker.inspectMessages()', 'color: #fbbc04');
-console.log('%c[IG Debug]   window.igReelTracker.highlightReels()', 'color: #fbbc04');
-console.log('%c[IG Debug]   window.igReelTracker.testSelector(\'a[href*="/reel/"]\')  ', 'color: #fbbc04');
-
 // =============================================================================
 // EMERGENCY DOM INVESTIGATION TOOLS
 // =============================================================================
@@ -2594,9 +5727,10 @@ function getElementSelector(element) {
 /**
  * Pattern discovery function to find working reel selectors
  * Searches for ANY elements that might indicate reel content
+ * @param {Object} options - Pass { promote: true } to add the best selector to the registry
  * @returns {Object} Detailed pattern discovery results
  */
-window.igReelTracker.findReelPatterns = () => {
+window.igReelTracker.findReelPatterns = (options = {}) => {
   try {
     console.info('%c[IG PATTERN DISCOVERY] 🔍 Starting reel pattern discovery...', 'color: #4285f4; font-weight: bold; font-size: 16px');
     
@@ -2606,156 +5740,20 @@ window.igReelTracker.findReelPatterns = () => {
       return { error: 'Messages container not found' };
     }
     
-    const patterns = {
-      reelTextElements: [],
-      videoPatterns: [],
-      instagramAttributes: [],
-      clickableElements: [],
-      mediaContainers: [],
-      summary: {
-        totalReelIndicators: 0,
-        potentialSelectors: []
-      }
-    };
-    
-    // 1. Search for ANY element containing "reel" text (case insensitive)
-    console.log('%c[IG PATTERN] 🔍 Searching for elements containing "reel" text...', 'color: #4285f4');
-    const reelTextElements = messagesContainer.querySelectorAll('*');
-    reelTextElements.forEach(element => {
-      try {
-        const text = element.textContent || '';
-        if (text.toLowerCase().includes('reel')) {
-          patterns.reelTextElements.push({
-            element: element.tagName,
-            text: text.substring(0, 100),
-            selector: getElementSelector(element),
-            path: generateDOMPath(element)
-          });
-        }
-      } catch (e) {
-        // Skip elements that can't be processed
-      }
-    });
-    
-    // 2. Search for video patterns
-    console.log('%c[IG PATTERN] 🎥 Searching for video patterns...', 'color: #4285f4');
-    const videoPatterns = [
-      { pattern: '.mp4', elements: [] },
-      { pattern: '.m3u8', elements: [] },
-      { pattern: 'video/mp4', elements: [] },
-      { pattern: 'cdninstagram', elements: [] },
-      { pattern: 'scontent', elements: [] }
-    ];
-    
-    videoPatterns.forEach(vp => {
-      const elements = messagesContainer.querySelectorAll(`[src*="${vp.pattern}"], [href*="${vp.pattern}"], [style*="${vp.pattern}"]`);
-      if (elements.length > 0) {
-        vp.elements = Array.from(elements).map(el => ({
-          tagName: el.tagName,
-          src: el.src || el.getAttribute('src') || el.getAttribute('href') || '(no src)',
-          selector: getElementSelector(el)
-        }));
-      }
-    });
-    patterns.videoPatterns = videoPatterns;
-    
-    // 3. Search for Instagram-specific attributes
-    console.log('%c[IG PATTERN] 🏷️ Searching for Instagram-specific attributes...', 'color: #4285f4');
-    const instagramAttributes = [
-      'data-bloks-name',
-      'data-media-id',
-      'data-testid',
-      'data-visualcompletion',
-      'aria-label'
-    ];
-    
-    instagramAttributes.forEach(attr => {
-      const elements = messagesContainer.querySelectorAll(`[${attr}]`);
-      if (elements.length > 0) {
-        patterns.instagramAttributes.push({
-          attribute: attr,
-          elements: Array.from(elements).map(el => ({
-            value: el.getAttribute(attr),
-            selector: getElementSelector(el),
-            tagName: el.tagName
-          }))
-        });
-      }
-    });
+    const patterns = collectReelPatterns(messagesContainer);
     
-    // 4. Find all clickable elements within messages
-    console.log('%c[IG PATTERN] 🖱️ Searching for clickable elements...', 'color: #4285f4');
-    const clickableSelectors = [
-      '[role="button"]',
-      '[role="link"]',
-      '[tabindex]',
-      'a[href]',
-      'button'
-    ];
-    
-    clickableSelectors.forEach(selector => {
-      try {
-        const elements = messagesContainer.querySelectorAll(selector);
-        if (elements.length > 0) {
-          patterns.clickableElements.push({
-            selector: selector,
-            count: elements.length,
-            elements: Array.from(elements).slice(0, 5).map(el => ({
-              tagName: el.tagName,
-              role: el.getAttribute('role') || '(no role)',
-              href: el.href || el.getAttribute('href') || '(no href)',
-              ariaLabel: el.getAttribute('aria-label') || '(no aria-label)'
-            }))
-          });
-        }
-      } catch (e) {
-        // Skip invalid selectors
-      }
-    });
-    
-    // 5. Search for media containers with specific patterns
-    console.log('%c[IG PATTERN] 📦 Searching for media containers...', 'color: #4285f4');
-    const mediaContainerSelectors = [
-      'div[style*="aspect-ratio"]',
-      'div[style*="padding-bottom"]',
-      'div[class*="video"]',
-      'div[class*="media"]',
-      'div[class*="reel"]',
-      'div[data-testid*="media"]',
-      'div[data-testid*="video"]'
-    ];
-    
-    mediaContainerSelectors.forEach(selector => {
-      try {
-        const elements = messagesContainer.querySelectorAll(selector);
-        if (elements.length > 0) {
-          patterns.mediaContainers.push({
-            selector: selector,
-            count: elements.length,
-            elements: Array.from(elements).slice(0, 3).map(el => ({
-              tagName: el.tagName,
-              className: el.className || '(no class)',
-              style: el.style.cssText.substring(0, 100) || '(no style)',
-              dimensions: {
-                width: el.getBoundingClientRect().width,
-                height: el.getBoundingClientRect().height
-              }
-            }))
-          });
+    // Optionally promote the first candidate that finds valid reels
+    if (options.promote) {
+      const workingSelector = patterns.summary.potentialSelectors.find(selector => {
+        try {
+          return Array.from(messagesContainer.querySelectorAll(selector)).some(validateReelElement);
+        } catch (error) {
+          return false;
         }
-      } catch (e) {
-        // Skip invalid selectors
-      }
-    });
-    
-    // Calculate summary
-    patterns.summary.totalReelIndicators = 
-      patterns.reelTextElements.length +
-      patterns.videoPatterns.reduce((sum, vp) => sum + vp.elements.length, 0) +
-      patterns.instagramAttributes.reduce((sum, attr) => sum + attr.elements.length, 0);
-    
-    // Generate potential selectors based on findings
-    patterns.summary.potentialSelectors = generatePotentialSelectors(patterns);
+      });
+      patterns.summary.promotedSelector = workingSelector || null;
+      promoteWorkingSelector(workingSelector, workingSelector ? 1 : 0);
+    }
     
     // Log comprehensive results
     console.log('\n%c[IG PATTERN] 📊 PATTERN DISCOVERY RESULTS:', 'color: #4285f4; font-weight: bold; font-size: 16px');
@@ -2813,6 +5811,185 @@ window.igReelTracker.findReelPatterns = () => {
   }
 };
 
+/**
+ * Gather reel indicators from the messages container and turn them into candidate selectors
+ * Shared by findReelPatterns and the automatic selector fallback
+ * @param {Element} messagesContainer - The messages container element
+ * @returns {Object} Pattern discovery results with summary.potentialSelectors
+ */
+function collectReelPatterns(messagesContainer) {
+  const patterns = {
+    reelTextElements: [],
+    videoPatterns: [],
+    instagramAttributes: [],
+    clickableElements: [],
+    mediaContainers: [],
+    summary: {
+      totalReelIndicators: 0,
+      potentialSelectors: []
+    }
+  };
+  
+  // 1. Search for ANY element containing "reel" text (case insensitive)
+  console.log('%c[IG PATTERN] 🔍 Searching for elements containing "reel" text...', 'color: #4285f4');
+  const reelTextElements = messagesContainer.querySelectorAll('*');
+  reelTextElements.forEach(element => {
+    try {
+      const text = element.textContent || '';
+      if (text.toLowerCase().includes('reel')) {
+        patterns.reelTextElements.push({
+          element: element.tagName,
+          text: text.substring(0, 100),
+          selector: getElementSelector(element),
+          path: generateDOMPath(element)
+        });
+      }
+    } catch (e) {
+      // Skip elements that can't be processed
+    }
+  });
+  
+  // 2. Search for video patterns
+  console.log('%c[IG PATTERN] 🎥 Searching for video patterns...', 'color: #4285f4');
+  const videoPatterns = [
+    { pattern: '.mp4', elements: [] },
+    { pattern: '.m3u8', elements: [] },
+    { pattern: 'video/mp4', elements: [] },
+    { pattern: 'cdninstagram', elements: [] },
+    { pattern: 'scontent', elements: [] }
+  ];
+  
+  videoPatterns.forEach(vp => {
+    const elements = messagesContainer.querySelectorAll(`[src*="${vp.pattern}"], [href*="${vp.pattern}"], [style*="${vp.pattern}"]`);
+    if (elements.length > 0) {
+      vp.elements = Array.from(elements).map(el => ({
+        tagName: el.tagName,
+        src: el.src || el.getAttribute('src') || el.getAttribute('href') || '(no src)',
+        selector: getElementSelector(el)
+      }));
+    }
+  });
+  patterns.videoPatterns = videoPatterns;
+  
+  // 3. Search for Instagram-specific attributes
+  console.log('%c[IG PATTERN] 🏷️ Searching for Instagram-specific attributes...', 'color: #4285f4');
+  const instagramAttributes = [
+    'data-bloks-name',
+    'data-media-id',
+    'data-testid',
+    'data-visualcompletion',
+    'aria-label'
+  ];
+  
+  instagramAttributes.forEach(attr => {
+    const elements = messagesContainer.querySelectorAll(`[${attr}]`);
+    if (elements.length > 0) {
+      patterns.instagramAttributes.push({
+        attribute: attr,
+        elements: Array.from(elements).map(el => ({
+          value: el.getAttribute(attr),
+          selector: getElementSelector(el),
+          tagName: el.tagName
+        }))
+      });
+    }
+  });
+  
+  // 4. Find all clickable elements within messages
+  console.log('%c[IG PATTERN] 🖱️ Searching for clickable elements...', 'color: #4285f4');
+  const clickableSelectors = [
+    '[role="button"]',
+    '[role="link"]',
+    '[tabindex]',
+    'a[href]',
+    'button'
+  ];
+  
+  clickableSelectors.forEach(selector => {
+    try {
+      const elements = messagesContainer.querySelectorAll(selector);
+      if (elements.length > 0) {
+        patterns.clickableElements.push({
+          selector: selector,
+          count: elements.length,
+          elements: Array.from(elements).slice(0, 5).map(el => ({
+            tagName: el.tagName,
+            role: el.getAttribute('role') || '(no role)',
+            href: el.href || el.getAttribute('href') || '(no href)',
+            ariaLabel: el.getAttribute('aria-label') || '(no aria-label)'
+          }))
+        });
+      }
+    } catch (e) {
+      // Skip invalid selectors
+    }
+  });
+  
+  // 5. Search for media containers with specific patterns
+  console.log('%c[IG PATTERN] 📦 Searching for media containers...', 'color: #4285f4');
+  const mediaContainerSelectors = [
+    'div[style*="aspect-ratio"]',
+    'div[style*="padding-bottom"]',
+    'div[class*="video"]',
+    'div[class*="media"]',
+    'div[class*="reel"]',
+    'div[data-testid*="media"]',
+    'div[data-testid*="video"]'
+  ];
+  
+  mediaContainerSelectors.forEach(selector => {
+    try {
+      const elements = messagesContainer.querySelectorAll(selector);
+      if (elements.length > 0) {
+        patterns.mediaContainers.push({
+          selector: selector,
+          count: elements.length,
+          elements: Array.from(elements).slice(0, 3).map(el => ({
+            tagName: el.tagName,
+            className: el.className || '(no class)',
+            style: el.style.cssText.substring(0, 100) || '(no style)',
+            dimensions: {
+              width: el.getBoundingClientRect().width,
+              height: el.getBoundingClientRect().height
+            }
+          }))
+        });
+      }
+    } catch (e) {
+      // Skip invalid selectors
+    }
+  });
+  
+  // Calculate summary
+  patterns.summary.totalReelIndicators = 
+    patterns.reelTextElements.length +
+    patterns.videoPatterns.reduce((sum, vp) => sum + vp.elements.length, 0) +
+    patterns.instagramAttributes.reduce((sum, attr) => sum + attr.elements.length, 0);
+  
+  // Generate potential selectors based on findings
+  patterns.summary.potentialSelectors = generatePotentialSelectors(patterns);
+  
+  return patterns;
+}
+
+/**
+ * Promote a selector from the debug tools into the reel selector registry
+ * @param {string|null} selector - Selector that was tested
+ * @param {number} validElements - How many valid reels it found
+ * @returns {boolean} True if the selector is being promoted
+ */
+function promoteWorkingSelector(selector, validElements) {
+  if (!selector || validElements === 0) {
+    console.warn('%c[IG Debug] ❌ Not promoting: no valid reels found with this selector', 'color: #ea4335');
+    return false;
+  }
+  
+  promoteSelector(SELECTOR_GROUPS.REELS, selector)
+    .then(() => console.info(`%c[IG Debug] ⭐ Promoted to reel selector registry: ${selector}`, 'color: #34a853; font-weight: bold'))
+    .catch(error => console.error('[IG Debug] Could not promote selector:', error));
+  return true;
+}
+
 /**
  * Generate potential selectors based on discovered patterns
  * @param {Object} patterns - Pattern discovery results
@@ -3069,17 +6246,48 @@ window.igReelTracker.clearManualHighlights = () => {
   }
 };
 
-// Update console help
-console.log('');
-console.log('%c[IG EMERGENCY] 🚨 EMERGENCY DIAGNOSTIC TOOLS AVAILABLE:', 'color: #ea4335; font-weight: bold; font-size: 14px');
-console.log('%c[IG EMERGENCY] - window.igReelTracker.analyzeMessages() - Analyze ALL messages in detail', 'color: #ea4335');
-console.log('%c[IG EMERGENCY] - window.igReelTracker.findReelPatterns() - Discover working reel selectors', 'color: #ea4335');
-console.log('%c[IG EMERGENCY] - window.igReelTracker.markAsReel(element) - Manually mark element as reel', 'color: #ea4335');
-console.log('%c[IG EMERGENCY] - window.igReelTracker.clearManualHighlights() - Clear manual highlights', 'color: #ea4335');
-console.log('');
-console.log('%c[IG EMERGENCY] 💡 EMERGENCY WORKFLOW:', 'color: #fbbc04; font-weight: bold');
-console.log('%c[IG EMERGENCY]   1. Run window.igReelTracker.analyzeMessages() to see what\'s in the container', 'color: #fbbc04');
-console.log('%c[IG EMERGENCY]   2. Run window.igReelTracker.findReelPatterns() to discover working selectors', 'color: #fbbc04');
-console.log('%c[IG EMERGENCY]   3. Right-click a reel → Inspect → window.igReelTracker.markAsReel(element)', 'color: #fbbc04');
-console.log('%c[IG EMERGENCY]   4. Test discovered selectors with window.igReelTracker.testSelector()', 'color: #fbbc04');
+/**
+ * Print the console functions and how to use them
+ */
+window.igReelTracker.help = () => {
+  console.log('[IG Reel Tracker] Global functions available:');
+  console.log('[IG Reel Tracker] - window.igReelTracker.initialize() - Manual initialization');
+  console.log('[IG Reel Tracker] - window.igReelTracker.detectReels() - Detect reels (requires initialization)');
+  console.log('[IG Reel Tracker] - window.igReelTracker.getReelData() - Get stored reel data');
+  console.log('[IG Reel Tracker] - window.igReelTracker.isOnDMPage() - Check if on Instagram DM page');
+  console.log('[IG Reel Tracker] - window.igReelTracker.isInitialized() - Check initialization status');
+  console.log('[IG Reel Tracker] - window.igReelTracker.nextUnwatchedReel() - Jump to next unwatched reel');
+  console.log('[IG Reel Tracker] - window.igReelTracker.previousUnwatchedReel() - Jump to previous unwatched reel');
+  console.log('[IG Reel Tracker] - window.igReelTracker.scrollToReel(reelId) - Scroll until a reel is rendered and centre it');
+  console.log('[IG Reel Tracker] - window.igReelTracker.setWatchState(reelId, state) - Set a reel to unwatched, opened or watched');
+  console.log('[IG Reel Tracker] - window.igReelTracker.getLogs() - Recent log entries from this tab as text');
+  console.log('');
+  console.log('%c[IG Reel Tracker] 🛠️  DEBUG FUNCTIONS AVAILABLE:', 'color: #4285f4; font-weight: bold');
+  console.log('%c[IG Debug] - window.igReelTracker.inspectMessages() - Inspect messages container', 'color: #4285f4');
+  console.log('%c[IG Debug] - window.igReelTracker.highlightReels() - Visually highlight detected reels', 'color: #4285f4');
+  console.log('%c[IG Debug] - window.igReelTracker.testSelector("selector") - Test a specific CSS selector', 'color: #4285f4');
+  console.log('%c[IG Debug] - window.igReelTracker.testSelector("selector", true) - Test and add a working selector to the registry', 'color: #4285f4');
+  console.log('%c[IG Debug] - window.igReelTracker.promoteSelector("selector", group) - Add a selector to the registry', 'color: #4285f4');
+  console.log('%c[IG Debug] - window.igReelTracker.getSelectorDrift() - List times the reel selectors stopped matching', 'color: #4285f4');
+  console.log('%c[IG Debug] - window.igReelTracker.highlightReels(false) - Remove highlights', 'color: #4285f4');
+  console.log('');
+  console.log('%c[IG Debug] 💡 USAGE EXAMPLES:', 'color: #fbbc04; font-weight: bold');
+  console.log('%c[IG Debug]   window.igReelTracker.inspectMessages()', 'color: #fbbc04');
+  console.log('%c[IG Debug]   window.igReelTracker.highlightReels()', 'color: #fbbc04');
+  console.log('%c[IG Debug]   window.igReelTracker.testSelector(\'a[href*="/reel/"]\')  ', 'color: #fbbc04');
+  console.log('');
+  console.log('%c[IG EMERGENCY] 🚨 EMERGENCY DIAGNOSTIC TOOLS AVAILABLE:', 'color: #ea4335; font-weight: bold; font-size: 14px');
+  console.log('%c[IG EMERGENCY] - window.igReelTracker.analyzeMessages() - Analyze ALL messages in detail', 'color: #ea4335');
+  console.log('%c[IG EMERGENCY] - window.igReelTracker.findReelPatterns() - Discover working reel selectors', 'color: #ea4335');
+  console.log('%c[IG EMERGENCY] - window.igReelTracker.findReelPatterns({ promote: true }) - Discover and add the best selector to the registry', 'color: #ea4335');
+  console.log('%c[IG EMERGENCY] - window.igReelTracker.markAsReel(element) - Manually mark element as reel', 'color: #ea4335');
+  console.log('%c[IG EMERGENCY] - window.igReelTracker.clearManualHighlights() - Clear manual highlights', 'color: #ea4335');
+  console.log('');
+  console.log('%c[IG EMERGENCY] 💡 EMERGENCY WORKFLOW:', 'color: #fbbc04; font-weight: bold');
+  console.log('%c[IG EMERGENCY]   1. Run window.igReelTracker.analyzeMessages() to see what\'s in the container', 'color: #fbbc04');
+  console.log('%c[IG EMERGENCY]   2. Run window.igReelTracker.findReelPatterns() to discover working selectors', 'color: #fbbc04');
+  console.log('%c[IG EMERGENCY]   3. Right-click a reel → Inspect → window.igReelTracker.markAsReel(element)', 'color: #fbbc04');
+  console.log('%c[IG EMERGENCY]   4. Test discovered selectors with window.igReelTracker.testSelector()', 'color: #fbbc04');
+};
 
+log.diagnostics.info('Console tools ready: run window.igReelTracker.help() for the list');
@@ -0,0 +1,20 @@
+/**
+ * IG Reel Tracker - History Hook
+ * Runs in the page's main world so Instagram's own pushState/replaceState
+ * calls are visible; the isolated content script cannot intercept them.
+ * Announces each call with a window event the content script listens for.
+ */
+
+(() => {
+  const LOCATION_CHANGE_EVENT = 'ig-reel-tracker:locationchange';
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+
+    history[method] = function(...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event(LOCATION_CHANGE_EVENT));
+      return result;
+    };
+  });
+})();
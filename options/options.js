@@ -0,0 +1,293 @@
+document.addEventListener('DOMContentLoaded', () => {
+  const selectorGroups = document.getElementById('selectorGroups');
+  const saveButton = document.getElementById('saveButton');
+  const resetSelectorsButton = document.getElementById('resetSelectorsButton');
+  const optionsStatus = document.getElementById('optionsStatus');
+  const isEnabledInput = document.getElementById('isEnabled');
+  const logLevelSelect = document.getElementById('logLevel');
+  const ruleInputs = document.querySelectorAll('[data-rule]');
+  const namespaceLevels = document.getElementById('namespaceLevels');
+  const refreshLogButton = document.getElementById('refreshLogButton');
+  const copyLogButton = document.getElementById('copyLogButton');
+  const logView = document.getElementById('logView');
+  const commandList = document.getElementById('commandList');
+  const shortcutsButton = document.getElementById('shortcutsButton');
+
+  // Checkbox and number inputs named after their settings field
+  const TOGGLE_SETTINGS = ['autoInit', 'notifications', 'showNavigator', 'autoMark', 'inPageShortcuts'];
+  const NUMBER_SETTINGS = Object.keys(SETTING_LIMITS);
+
+  logLevelSelect.append(...createLevelOptions());
+
+  // One select per namespace; an empty value follows the main log level
+  Object.values(LOG_NAMESPACES).forEach(namespace => {
+    const label = document.createElement('label');
+    label.className = 'setting';
+    const select = document.createElement('select');
+    select.dataset.namespace = namespace;
+    const inherit = document.createElement('option');
+    inherit.value = '';
+    inherit.textContent = 'same as log level';
+    select.append(inherit, ...createLevelOptions());
+    label.append(`${namespace} `, select);
+    namespaceLevels.append(label);
+  });
+  const namespaceSelects = namespaceLevels.querySelectorAll('select');
+
+  NUMBER_SETTINGS.forEach(name => {
+    const input = document.getElementById(name);
+    input.min = SETTING_LIMITS[name].min;
+    input.max = SETTING_LIMITS[name].max;
+  });
+
+  loadSettings();
+  loadSelectorRegistry();
+  loadLogs();
+  loadCommands();
+
+  // Pick up shortcuts changed on the browser's shortcuts page
+  window.addEventListener('focus', loadCommands);
+
+  // Extension pages can't link to chrome:// URLs, but they can open them in a tab
+  shortcutsButton.addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+
+  refreshLogButton.addEventListener('click', loadLogs);
+  copyLogButton.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(logView.textContent);
+      displayStatus('✅ Log copied', 'success');
+    } catch (error) {
+      console.error(error);
+      displayStatus('❌ Could not copy log: ' + error.message, 'error');
+    }
+  });
+
+  saveButton.addEventListener('click', saveOptions);
+  resetSelectorsButton.addEventListener('click', async () => {
+    try {
+      const emptyGroups = {};
+      Object.values(SELECTOR_GROUPS).forEach(group => {
+        emptyGroups[group] = [];
+      });
+      renderSelectorRegistry(await saveSelectorRegistry(emptyGroups, emptyGroups));
+      displayStatus('✅ Selectors reset to the built-in defaults', 'success');
+    } catch (error) {
+      console.error(error);
+      displayStatus('❌ Could not reset selectors: ' + error.message, 'error');
+    }
+  });
+
+  // Keep the page current when the popup changes a setting or a selector is promoted from the console
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') {
+      return;
+    }
+    if (changes[SELECTOR_REGISTRY_KEY]) {
+      renderSelectorRegistry(buildSelectorRegistry(changes[SELECTOR_REGISTRY_KEY].newValue));
+    }
+    if (changes[SETTINGS_KEY]) {
+      renderSettings(normalizeSettings(changes[SETTINGS_KEY].newValue));
+    }
+    if (changes.isEnabled) {
+      isEnabledInput.checked = Boolean(changes.isEnabled.newValue);
+    }
+  });
+
+  async function loadSettings() {
+    try {
+      const { isEnabled } = await chrome.storage.local.get(['isEnabled']);
+      isEnabledInput.checked = Boolean(isEnabled);
+      renderSettings(await getSettings());
+    } catch (error) {
+      console.error(error);
+      displayStatus('❌ Could not load settings: ' + error.message, 'error');
+    }
+  }
+
+  function renderSettings(settings) {
+    TOGGLE_SETTINGS.forEach(name => {
+      document.getElementById(name).checked = Boolean(settings[name]);
+    });
+    NUMBER_SETTINGS.forEach(name => {
+      document.getElementById(name).value = settings[name];
+    });
+    ruleInputs.forEach(input => {
+      input.checked = Boolean(settings.autoMarkRules[input.dataset.rule]);
+    });
+    logLevelSelect.value = settings.logLevel;
+    namespaceSelects.forEach(select => {
+      select.value = settings.logLevels[select.dataset.namespace] || '';
+    });
+  }
+
+  function readSettings() {
+    const settings = { autoMarkRules: {}, logLevel: logLevelSelect.value, logLevels: {} };
+    namespaceSelects.forEach(select => {
+      if (select.value) {
+        settings.logLevels[select.dataset.namespace] = select.value;
+      }
+    });
+    TOGGLE_SETTINGS.forEach(name => {
+      settings[name] = document.getElementById(name).checked;
+    });
+    NUMBER_SETTINGS.forEach(name => {
+      settings[name] = Number(document.getElementById(name).value);
+    });
+    ruleInputs.forEach(input => {
+      settings.autoMarkRules[input.dataset.rule] = input.checked;
+    });
+    return settings;
+  }
+
+  async function loadCommands() {
+    const commands = await chrome.commands.getAll();
+    commandList.replaceChildren(...commands.map(command => {
+      const item = document.createElement('li');
+      const key = document.createElement('kbd');
+      key.textContent = command.shortcut || 'not set';
+      item.append(key, ` ${command.description}`);
+      return item;
+    }));
+  }
+
+  function createLevelOptions() {
+    return LOG_LEVELS.map(level => {
+      const option = document.createElement('option');
+      option.value = level;
+      option.textContent = level;
+      return option;
+    });
+  }
+
+  // Each script context keeps its own log, so ask the service worker and every Instagram tab
+  async function loadLogs() {
+    const lines = [];
+    const addEntries = (entries, source) => {
+      entries.forEach(entry => lines.push({ time: entry.time, text: `${formatLogEntry(entry)} (${source})` }));
+    };
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getLogs' });
+      if (response && response.success) {
+        addEntries(response.entries, 'service worker');
+      }
+    } catch (error) {
+      console.log('Could not read service worker log:', error);
+    }
+
+    const tabs = await chrome.tabs.query({ url: 'https://www.instagram.com/*' });
+    await Promise.all(tabs.map(async tab => {
+      try {
+        const response = await chrome.tabs.sendMessage(tab.id, { action: 'getLogs' });
+        if (response && response.success) {
+          addEntries(response.entries, `tab ${tab.id}`);
+        }
+      } catch (error) {
+        // Tabs opened before the extension was loaded have no content script
+      }
+    }));
+
+    lines.sort((a, b) => a.time - b.time);
+    logView.textContent = lines.length > 0
+      ? lines.map(line => line.text).join('\n')
+      : 'No log entries yet';
+  }
+
+  async function loadSelectorRegistry() {
+    try {
+      renderSelectorRegistry(await getSelectorRegistry());
+    } catch (error) {
+      console.error(error);
+      displayStatus('❌ Could not load selectors: ' + error.message, 'error');
+    }
+  }
+
+  function renderSelectorRegistry(registry) {
+    selectorGroups.replaceChildren(...Object.values(SELECTOR_GROUPS).map(group => createSelectorGroup(registry, group)));
+  }
+
+  function createSelectorGroup(registry, group) {
+    const fieldset = document.createElement('fieldset');
+    fieldset.dataset.group = group;
+
+    const legend = document.createElement('legend');
+    legend.textContent = SELECTOR_GROUP_LABELS[group];
+
+    const overridesLabel = document.createElement('label');
+    overridesLabel.className = 'field';
+    overridesLabel.textContent = 'Your selectors (one per line, tried first)';
+
+    const overrides = document.createElement('textarea');
+    overrides.className = 'overrides';
+    overrides.spellcheck = false;
+    overrides.value = registry.overrides[group].join('\n');
+    overridesLabel.append(overrides);
+
+    const defaults = document.createElement('ul');
+    defaults.className = 'default-selectors';
+    registry.defaults[group].forEach(selector => {
+      const item = document.createElement('li');
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = selector;
+      checkbox.checked = !registry.disabled[group].includes(selector);
+      label.append(checkbox, ` ${selector}`);
+      item.append(label);
+      defaults.append(item);
+    });
+
+    fieldset.append(legend, overridesLabel, defaults);
+    return fieldset;
+  }
+
+  async function saveOptions() {
+    const settings = readSettings();
+    const overrides = {};
+    const disabled = {};
+    const invalid = [];
+
+    selectorGroups.querySelectorAll('fieldset').forEach(fieldset => {
+      const group = fieldset.dataset.group;
+      overrides[group] = fieldset.querySelector('.overrides').value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+      overrides[group]
+        .filter(selector => !isValidSelector(selector))
+        .forEach(selector => invalid.push(`${SELECTOR_GROUP_LABELS[group]}: ${selector}`));
+      disabled[group] = Array.from(fieldset.querySelectorAll('.default-selectors input:not(:checked)'))
+        .map(checkbox => checkbox.value);
+    });
+
+    const problems = validateSettings(settings);
+    if (invalid.length > 0) {
+      problems.push('These selectors are not valid CSS:', ...invalid);
+    }
+    if (problems.length > 0) {
+      displayStatus('❌ Not saved.\n' + problems.join('\n'), 'error');
+      return;
+    }
+
+    try {
+      await saveSettings(settings);
+      const { isEnabled } = await chrome.storage.local.get(['isEnabled']);
+      if (Boolean(isEnabled) !== isEnabledInput.checked) {
+        await chrome.storage.local.set({ isEnabled: isEnabledInput.checked });
+      }
+      await saveSelectorRegistry(overrides, disabled);
+      displayStatus('✅ Options saved', 'success');
+    } catch (error) {
+      console.error(error);
+      displayStatus('❌ Could not save options: ' + error.message, 'error');
+    }
+  }
+
+  function displayStatus(message, type) {
+    optionsStatus.textContent = message;
+    optionsStatus.className = type;
+    optionsStatus.style.display = 'block';
+  }
+});
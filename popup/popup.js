@@ -3,12 +3,68 @@ document.addEventListener('DOMContentLoaded', () => {
   const testButton = document.getElementById('testButton');
   const testResult = document.getElementById('testResult');
   const statusDisplay = document.getElementById('statusDisplay');
+  const totalsDisplay = document.getElementById('totalsDisplay');
+  const prevReelButton = document.getElementById('prevReelButton');
+  const nextReelButton = document.getElementById('nextReelButton');
+  const autoMarkToggle = document.getElementById('autoMarkToggle');
+  const autoInitToggle = document.getElementById('autoInitToggle');
+  const reelSection = document.getElementById('reelSection');
+  const reelList = document.getElementById('reelList');
+  const reelListEmpty = document.getElementById('reelListEmpty');
+  const filterButtons = document.querySelectorAll('.filter');
+  const optionsLink = document.getElementById('optionsLink');
+  const backfillLimit = document.getElementById('backfillLimit');
+  const backfillButton = document.getElementById('backfillButton');
+  const backfillStatus = document.getElementById('backfillStatus');
 
-  // Initialize test button as disabled until extension is initialized
+  // Labels for the rule that marked a reel as watched
+  const WATCHED_BY_LABELS = {
+    manual: 'Marked by hand',
+    playback: 'Played to end',
+    opened: 'Auto: opened',
+    dwell: 'Auto: in view',
+    reaction: 'Auto: reacted',
+    reply: 'Auto: replied'
+  };
+
+  // Emoji shown for each detected reaction type
+  const REACTION_EMOJI = {
+    heart: '❤️',
+    laugh: '😂',
+    wow: '😮',
+    angry: '😡',
+    sad: '😢',
+    like: '👍',
+    fire: '🔥'
+  };
+
+  // Sent-time confidence levels that only give an estimate
+  const APPROXIMATE_CONFIDENCE = ['medium', 'low', 'none'];
+
+  // Reel list filters
+  const REEL_FILTERS = {
+    unwatched: reel => reel.watchState !== 'watched',
+    reacted: reel => reel.hasReaction,
+    all: () => true
+  };
+
+  let activeTabId = null;
+  let currentReels = [];
+  let activeFilter = 'unwatched';
+  let backfillPollTimer = null;
+
+  // How often the popup asks the page for backfill progress
+  const BACKFILL_POLL_INTERVAL = 1000;
+
+  // Initialize test and navigation buttons as disabled until extension is initialized
   testButton.disabled = true;
+  prevReelButton.disabled = true;
+  nextReelButton.disabled = true;
 
   // Check current extension status on popup open
   checkExtensionStatus();
+  loadSettingToggles();
+  loadTrackedTotals();
 
   initButton.addEventListener('click', async () => {
     initButton.disabled = true;
@@ -35,11 +91,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
       if (response && response.success) {
         displayResult('✅ Extension initialized successfully!', 'success');
-        statusDisplay.textContent = 'Status: Initialized and Ready';
-        statusDisplay.className = 'status success';
-        testButton.disabled = false; // Enable test button
-        initButton.textContent = 'Initialized ✓';
-        initButton.style.background = '#6c757d';
+        showTrackingActive(tab.id);
       } else {
         throw new Error(response?.error || 'Initialization failed');
       }
@@ -86,6 +138,337 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  optionsLink.addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  prevReelButton.addEventListener('click', () => navigateReel('navigatePreviousUnwatched'));
+  nextReelButton.addEventListener('click', () => navigateReel('navigateNextUnwatched'));
+
+  async function navigateReel(action) {
+    prevReelButton.disabled = true;
+    nextReelButton.disabled = true;
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+      if (!tab || !tab.url.includes('instagram.com/direct/')) {
+        displayResult('ℹ️ Navigate to Instagram DMs first', 'info');
+        return;
+      }
+
+      // Reels outside the rendered rows take a while to scroll to
+      const response = await sendMessageWithTimeout(tab.id, { action }, 25000);
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Navigation failed');
+      }
+
+      if (response.found) {
+        const wrappedNote = response.wrapped ? ' (wrapped around)' : '';
+        displayResult(`🎬 Jumped to reel ${response.reelId}${wrappedNote}`, 'success');
+      } else {
+        displayResult('ℹ️ ' + (response.message || 'No more unwatched reels'), 'info');
+      }
+    } catch (error) {
+      console.error(error);
+      displayResult('❌ Navigation failed: ' + error.message, 'error');
+    } finally {
+      prevReelButton.disabled = false;
+      nextReelButton.disabled = false;
+    }
+  }
+
+  autoMarkToggle.addEventListener('change', () => saveSetting('autoMark', autoMarkToggle.checked));
+  autoInitToggle.addEventListener('change', () => saveSetting('autoInit', autoInitToggle.checked));
+
+  async function saveSetting(name, value) {
+    try {
+      const settings = await getSettings();
+      await saveSettings({ ...settings, [name]: value });
+    } catch (error) {
+      console.error(error);
+      displayResult('❌ Could not save setting', 'error');
+    }
+  }
+
+  async function loadTrackedTotals() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getStatus' });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Status unavailable');
+      }
+
+      const { reelCount, unwatchedCount, conversationCount } = response.status;
+      totalsDisplay.textContent = conversationCount > 0
+        ? `All threads: ${unwatchedCount} unwatched of ${reelCount} reels in ${conversationCount} conversation${conversationCount === 1 ? '' : 's'}`
+        : 'All threads: no reels tracked yet';
+    } catch (error) {
+      console.log('Could not load totals:', error);
+      totalsDisplay.textContent = 'All threads: totals unavailable';
+    }
+  }
+
+  async function loadSettingToggles() {
+    try {
+      const settings = await getSettings();
+      autoMarkToggle.checked = settings.autoMark;
+      autoInitToggle.checked = settings.autoInit;
+    } catch (error) {
+      console.log('Could not load settings:', error);
+    }
+  }
+
+  function showTrackingActive(tabId) {
+    statusDisplay.textContent = 'Status: Tracking Active';
+    statusDisplay.className = 'status success';
+    testButton.disabled = false;
+    prevReelButton.disabled = false;
+    nextReelButton.disabled = false;
+    loadReelList(tabId);
+    refreshBackfillStatus(tabId);
+    initButton.disabled = true;
+    initButton.textContent = 'Tracking Active ✓';
+  }
+
+  backfillButton.addEventListener('click', async () => {
+    try {
+      const running = backfillButton.dataset.running === 'true';
+      const response = running
+        ? await sendMessageWithTimeout(activeTabId, { action: 'cancelBackfill' }, 2000)
+        : await sendMessageWithTimeout(activeTabId, {
+          action: 'startBackfill',
+          dateLimitDays: Number(backfillLimit.value) || null
+        }, 2000);
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Scan request failed');
+      }
+      refreshBackfillStatus(activeTabId);
+    } catch (error) {
+      console.error(error);
+      displayResult('❌ ' + error.message, 'error');
+    }
+  });
+
+  async function refreshBackfillStatus(tabId) {
+    clearTimeout(backfillPollTimer);
+    try {
+      const response = await sendMessageWithTimeout(tabId, { action: 'getBackfillStatus' }, 2000);
+      const backfill = response && response.success ? response.backfill : null;
+      const wasRunning = backfillButton.dataset.running === 'true';
+      renderBackfillStatus(backfill);
+
+      if (backfill && backfill.status === 'running') {
+        backfillPollTimer = setTimeout(() => refreshBackfillStatus(tabId), BACKFILL_POLL_INTERVAL);
+      } else if (wasRunning) {
+        // Show the reels the scan found
+        loadReelList(tabId);
+      }
+    } catch (error) {
+      console.log('Could not load scan progress:', error);
+    }
+  }
+
+  function renderBackfillStatus(backfill) {
+    const running = Boolean(backfill && backfill.status === 'running');
+    backfillButton.dataset.running = String(running);
+    backfillButton.textContent = running ? 'Cancel scan' : 'Scan entire conversation';
+    backfillLimit.disabled = running;
+
+    if (!backfill) {
+      backfillStatus.style.display = 'none';
+      return;
+    }
+
+    const reachedBack = backfill.oldestLoadedAt
+      ? `, back to ${new Date(backfill.oldestLoadedAt).toLocaleDateString()}`
+      : '';
+    const progress = `${backfill.reelsFound} new reel${backfill.reelsFound === 1 ? '' : 's'}${reachedBack}`;
+    backfillStatus.textContent = running
+      ? `Scanning... step ${backfill.steps}, ${progress}`
+      : `${backfill.reason}: ${progress}`;
+    backfillStatus.className = `status ${backfill.status === 'error' ? 'error' : 'info'}`;
+    backfillStatus.style.display = 'block';
+  }
+
+  filterButtons.forEach(button => {
+    button.addEventListener('click', () => {
+      activeFilter = button.dataset.filter;
+      filterButtons.forEach(other => other.classList.toggle('active', other === button));
+      renderReelList();
+    });
+  });
+
+  async function loadReelList(tabId) {
+    try {
+      activeTabId = tabId;
+      const response = await sendMessageWithTimeout(tabId, { action: 'getReelData' }, 2000);
+      if (!response || !response.success) {
+        return;
+      }
+
+      currentReels = response.data.reels;
+      reelSection.style.display = 'block';
+      renderReelList();
+    } catch (error) {
+      console.log('Could not load reel list:', error);
+    }
+  }
+
+  function renderReelList() {
+    const visibleReels = currentReels.filter(REEL_FILTERS[activeFilter]);
+
+    reelList.replaceChildren(...visibleReels.map(createReelRow));
+    reelListEmpty.style.display = visibleReels.length === 0 ? 'block' : 'none';
+  }
+
+  function createReelRow(reel) {
+    const row = document.createElement('li');
+    row.className = 'reel-row';
+    row.title = 'Show this reel in the conversation';
+
+    let thumb;
+    if (reel.thumbnailUrl) {
+      thumb = document.createElement('img');
+      thumb.src = reel.thumbnailUrl;
+      thumb.alt = '';
+    } else {
+      thumb = document.createElement('div');
+      thumb.textContent = reel.reelId.slice(0, 6);
+    }
+    thumb.className = 'reel-thumb';
+
+    const info = document.createElement('div');
+    info.className = 'reel-info';
+
+    const title = document.createElement('div');
+    title.className = 'reel-title';
+    title.textContent = reel.caption || (reel.authorHandle ? `@${reel.authorHandle}` : reel.reelId);
+    title.title = reel.caption || '';
+
+    const meta = document.createElement('div');
+    meta.className = 'reel-meta';
+    meta.textContent = [formatSender(reel), reel.caption && reel.authorHandle && `@${reel.authorHandle}`, formatDuration(reel.durationSeconds), formatSentTime(reel)]
+      .filter(Boolean)
+      .join(' · ');
+
+    info.append(title, meta);
+
+    if (reel.replies && reel.replies.length > 0) {
+      info.append(createReplyList(reel.replies));
+    }
+
+    const state = document.createElement('div');
+    state.className = 'reel-state';
+
+    if (reel.hasReaction) {
+      const reaction = document.createElement('div');
+      reaction.textContent = formatReactions(reel);
+      reaction.title = describeReactions(reel.reactions || []);
+      state.append(reaction);
+    }
+
+    if (reel.replies && reel.replies.length > 0) {
+      const replyToggle = document.createElement('button');
+      replyToggle.className = 'reply-toggle';
+      replyToggle.textContent = `💬 ${reel.replies.length}`;
+      replyToggle.title = 'Show replies to this reel';
+      replyToggle.addEventListener('click', (event) => {
+        event.stopPropagation();
+        row.classList.toggle('show-replies');
+      });
+      state.append(replyToggle);
+    }
+
+    const watchState = reel.watchState || 'unwatched';
+    const pill = document.createElement('span');
+    pill.className = `watch-pill ${watchState}`;
+    pill.textContent = watchState;
+    if (watchState === 'watched') {
+      pill.title = WATCHED_BY_LABELS[reel.watchedBy] || 'Watched';
+    }
+    state.append(pill);
+
+    row.append(thumb, info, state);
+    row.addEventListener('click', () => openReel(reel.reelId));
+    return row;
+  }
+
+  function formatSender(reel) {
+    if (reel.direction === 'sent') {
+      return 'You';
+    }
+    return reel.senderName || (reel.senderUsername ? `@${reel.senderUsername}` : null);
+  }
+
+  function formatDuration(seconds) {
+    if (!seconds) {
+      return null;
+    }
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+
+  function formatReactions(reel) {
+    if (!reel.reactions || reel.reactions.length === 0) {
+      return REACTION_EMOJI[reel.reactionType] || '💬';
+    }
+    return reel.reactions
+      .map(reaction => reaction.count > 1 ? `${reaction.emoji}${reaction.count}` : reaction.emoji)
+      .join(' ');
+  }
+
+  // Tooltip naming who reacted with each emoji
+  function describeReactions(reactions) {
+    return reactions
+      .map(reaction => {
+        const reactors = reaction.mine ? ['You', ...reaction.reactors] : reaction.reactors;
+        return reactors.length > 0 ? `${reaction.emoji} ${reactors.join(', ')}` : reaction.emoji;
+      })
+      .join('\n');
+  }
+
+  // Approximate sent times are marked with "~"
+  function formatSentTime(reel) {
+    const sentAt = new Date(reel.sentAt || reel.timestamp).toLocaleString();
+    return APPROXIMATE_CONFIDENCE.includes(reel.sentAtConfidence) ? `~${sentAt}` : sentAt;
+  }
+
+  // Replies to a reel, oldest first, shown when the row is expanded
+  function createReplyList(replies) {
+    const list = document.createElement('ul');
+    list.className = 'reel-replies';
+
+    replies.forEach(reply => {
+      const item = document.createElement('li');
+      item.className = `reel-reply ${reply.direction}`;
+      const author = reply.direction === 'sent' ? 'You' : (reply.senderName || 'Them');
+      item.textContent = `${author}: ${reply.text || '(no text)'}`;
+      item.title = formatSentTime(reply);
+      list.append(item);
+    });
+
+    return list;
+  }
+
+  async function openReel(reelId) {
+    try {
+      displayResult(`⏳ Scrolling to reel ${reelId}...`, 'info');
+      const response = await sendMessageWithTimeout(activeTabId, { action: 'openReel', reelId }, 25000);
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Could not open reel');
+      }
+
+      displayResult(`🎬 Opened reel ${reelId}`, 'success');
+    } catch (error) {
+      console.error(error);
+      displayResult('❌ ' + error.message, 'error');
+    }
+  }
+
   async function checkExtensionStatus() {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -94,12 +477,18 @@ document.addEventListener('DOMContentLoaded', () => {
         // Check if extension is already initialized
         const response = await sendMessageWithTimeout(tab.id, { action: 'getStatus' }, 2000);
         
+        const settings = await getSettings();
+        
         if (response && response.success && response.isInitialized) {
-          statusDisplay.textContent = 'Status: Already Initialized';
-          statusDisplay.className = 'status success';
-          testButton.disabled = false;
-          initButton.textContent = 'Initialized ✓';
-          initButton.style.background = '#6c757d';
+          showTrackingActive(tab.id);
+        } else if (response && response.success && response.initializationError) {
+          statusDisplay.textContent = `Status: Initialization Failed (${response.initializationError})`;
+          statusDisplay.className = 'status error';
+          initButton.textContent = 'Retry Initialization';
+        } else if (settings.autoInit) {
+          statusDisplay.textContent = 'Status: Starting Automatically...';
+          statusDisplay.className = 'status info';
+          initButton.textContent = 'Retry Initialization';
         } else {
           statusDisplay.textContent = 'Status: Ready to Initialize';
           statusDisplay.className = 'status info';
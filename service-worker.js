@@ -3,28 +3,50 @@
  * Handles extension lifecycle events and popup communication
  */
 
+importScripts('shared/logger.js', 'shared/reel-storage.js', 'shared/settings.js', 'shared/selector-registry.js');
+
+// Storage key for the per-conversation summary index
+const CONVERSATION_INDEX_KEY = 'conversationIndex';
+
+// Badge colours for tracking enabled/disabled
+const BADGE_COLOR_ENABLED = '#E1306C';
+const BADGE_COLOR_DISABLED = '#6c757d';
+
+// Instagram DM pages, used to find tabs that get a per-thread badge
+const INSTAGRAM_DM_URL_PATTERN = 'https://www.instagram.com/direct/*';
+
+// Manifest commands handled by the DM tab, and the shortcut each runs there
+const TAB_SHORTCUT_COMMANDS = {
+  'next-unwatched-reel': 'next',
+  'previous-unwatched-reel': 'previous',
+  'mark-current-watched': 'markWatched'
+};
+
 /**
  * Initialize extension on install
  * Sets up default storage values
  */
 chrome.runtime.onInstalled.addListener(async (details) => {
   try {
-    console.log('[IG Reel Tracker] Extension installed:', details.reason);
+    log.lifecycle.info('Extension installed:', details.reason);
     
-    // Initialize storage with default values
+    // Initialize storage with default values, keeping the user's choices on update
+    const existing = await chrome.storage.local.get(['isEnabled', SETTINGS_KEY]);
     await chrome.storage.local.set({
-      isEnabled: true,
+      isEnabled: existing.isEnabled !== undefined ? existing.isEnabled : true,
       lastSync: Date.now(),
-      trackedReels: [],
-      settings: {
-        autoMark: false,
-        notifications: true
-      }
+      [SETTINGS_KEY]: normalizeSettings(existing[SETTINGS_KEY])
     });
     
-    console.log('[IG Reel Tracker] Storage initialized successfully');
+    // Fold any older reel storage layout into the current schema
+    await migrateReelStorage();
+    await getSelectorRegistry();
+    await rebuildConversationIndex();
+    await refreshBadges();
+    
+    log.lifecycle.info('Storage initialized successfully');
   } catch (error) {
-    console.error('[IG Reel Tracker] Error during installation:', error);
+    log.lifecycle.error('Error during installation:', error);
   }
 });
 
@@ -34,13 +56,19 @@ chrome.runtime.onInstalled.addListener(async (details) => {
  */
 chrome.runtime.onStartup.addListener(async () => {
   try {
-    console.log('[IG Reel Tracker] Extension started');
+    log.lifecycle.info('Extension started');
     
     // Verify storage integrity
-    const data = await chrome.storage.local.get(['isEnabled', 'trackedReels']);
-    console.log('[IG Reel Tracker] Current storage state:', data);
+    const data = await chrome.storage.local.get(['isEnabled', STORAGE_VERSION_KEY, CONVERSATION_INDEX_KEY]);
+    log.storage.debug('Current storage state:', data);
+    
+    if (!data[CONVERSATION_INDEX_KEY]) {
+      await rebuildConversationIndex();
+    }
+    
+    await refreshBadges();
   } catch (error) {
-    console.error('[IG Reel Tracker] Error during startup:', error);
+    log.lifecycle.error('Error during startup:', error);
   }
 });
 
@@ -50,7 +78,7 @@ chrome.runtime.onStartup.addListener(async () => {
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   try {
-    console.log('[IG Reel Tracker] Received message:', message, 'from:', sender.tab ? 'content script' : 'popup');
+    log.lifecycle.debug('Received message:', message, 'from:', sender.tab ? 'content script' : 'popup');
     
     switch (message.action) {
       case 'getStatus':
@@ -65,12 +93,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         handleContentScriptReady(sender, sendResponse);
         break;
       
+      case 'reelDataUpdated':
+        handleReelDataUpdated(message.data, sendResponse);
+        break;
+      
+      case 'getLogs':
+        sendResponse({ success: true, entries: getLogEntries() });
+        break;
+      
       default:
-        console.warn('[IG Reel Tracker] Unknown message action:', message.action);
+        log.lifecycle.warn('Unknown message action:', message.action);
         sendResponse({ success: false, error: 'Unknown action' });
     }
   } catch (error) {
-    console.error('[IG Reel Tracker] Error handling message:', error);
+    log.lifecycle.error('Error handling message:', error);
     sendResponse({ success: false, error: error.message });
   }
   
@@ -84,17 +120,23 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
  */
 async function handleGetStatus(sendResponse) {
   try {
-    const data = await chrome.storage.local.get(['isEnabled', 'trackedReels', 'lastSync']);
+    const data = await chrome.storage.local.get(['isEnabled', 'lastSync']);
+    const conversations = Object.values(await getConversationIndex())
+      .sort((a, b) => b.lastUpdated - a.lastUpdated);
+    
     sendResponse({
       success: true,
       status: {
         isEnabled: data.isEnabled || false,
-        reelCount: data.trackedReels ? data.trackedReels.length : 0,
+        reelCount: conversations.reduce((total, entry) => total + entry.reelCount, 0),
+        unwatchedCount: conversations.reduce((total, entry) => total + entry.unwatchedCount, 0),
+        conversationCount: conversations.length,
+        conversations: conversations,
         lastSync: data.lastSync || null
       }
     });
   } catch (error) {
-    console.error('[IG Reel Tracker] Error getting status:', error);
+    log.storage.error('Error getting status:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
@@ -105,19 +147,238 @@ async function handleGetStatus(sendResponse) {
  */
 async function handleToggleEnabled(sendResponse) {
   try {
-    const { isEnabled } = await chrome.storage.local.get(['isEnabled']);
-    const newState = !isEnabled;
+    const newState = await toggleTracking();
+    sendResponse({ success: true, isEnabled: newState });
+  } catch (error) {
+    log.lifecycle.error('Error toggling enabled state:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Switch reel tracking on or off
+ * @returns {Promise<boolean>} The new enabled state
+ */
+async function toggleTracking() {
+  const { isEnabled } = await chrome.storage.local.get(['isEnabled']);
+  const newState = !isEnabled;
+  
+  await chrome.storage.local.set({ isEnabled: newState });
+  log.lifecycle.info('Extension toggled:', newState ? 'enabled' : 'disabled');
+  return newState;
+}
+
+/**
+ * Read the conversation index
+ * @returns {Promise<Object>} Index entries keyed by conversation ID
+ */
+async function getConversationIndex() {
+  const result = await chrome.storage.local.get([CONVERSATION_INDEX_KEY]);
+  return result[CONVERSATION_INDEX_KEY] || {};
+}
+
+/**
+ * Rebuild the conversation index from the stored reel records
+ * Covers data written before the index existed
+ */
+async function rebuildConversationIndex() {
+  try {
+    const conversations = await queueStorageWrite(CONVERSATION_INDEX_KEY, async () => {
+      const storedConversations = await getAllStoredConversations();
+      const index = {};
+      
+      storedConversations.forEach(conversation => {
+        const reels = conversation.reels || [];
+        index[conversation.conversationId] = {
+          conversationId: conversation.conversationId,
+          reelCount: reels.length,
+          unwatchedCount: countUnwatchedReels(reels),
+          lastUrl: null,
+          lastUpdated: conversation.lastUpdated || null
+        };
+      });
+      
+      await chrome.storage.local.set({ [CONVERSATION_INDEX_KEY]: index });
+      return storedConversations;
+    });
+    log.storage.info(`Conversation index rebuilt: ${conversations.length} conversations`);
+  } catch (error) {
+    log.storage.error('Error rebuilding conversation index:', error);
+  }
+}
+
+/**
+ * Record a conversation's latest reel counts in the index
+ * @param {Object} data - Update sent by the content script
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleReelDataUpdated(data, sendResponse) {
+  try {
+    if (!data || !data.conversationId) {
+      sendResponse({ success: false, error: 'No conversation ID provided' });
+      return;
+    }
     
-    await chrome.storage.local.set({ isEnabled: newState });
-    console.log('[IG Reel Tracker] Extension toggled:', newState ? 'enabled' : 'disabled');
+    const entry = {
+      conversationId: data.conversationId,
+      reelCount: data.reelCount || 0,
+      unwatchedCount: data.unwatchedCount || 0,
+      lastUrl: data.url || null,
+      lastUpdated: data.timestamp || Date.now()
+    };
     
-    sendResponse({ success: true, isEnabled: newState });
+    // Updates from several tabs arrive together; queue them so none overwrites another
+    await queueStorageWrite(CONVERSATION_INDEX_KEY, async () => {
+      const index = await getConversationIndex();
+      index[entry.conversationId] = entry;
+      await chrome.storage.local.set({ [CONVERSATION_INDEX_KEY]: index, lastSync: Date.now() });
+    });
+    
+    log.storage.debug('Conversation index updated:', entry);
+    await refreshBadges();
+    
+    sendResponse({ success: true });
   } catch (error) {
-    console.error('[IG Reel Tracker] Error toggling enabled state:', error);
+    log.storage.error('Error updating conversation index:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
+/**
+ * Extract the conversation ID from an Instagram DM thread URL
+ * @param {string} url - Tab URL
+ * @returns {string|null} Conversation ID or null if the URL is not a thread
+ */
+function getConversationIdFromUrl(url) {
+  const conversationMatch = (url || '').match(/\/direct\/t\/([^\/\?]+)/);
+  return conversationMatch ? conversationMatch[1] : null;
+}
+
+/**
+ * Format an unwatched count for the badge
+ * @param {number} count - Unwatched reel count
+ * @returns {string} Badge text, empty when there is nothing unwatched
+ */
+function formatBadgeText(count) {
+  if (!count) {
+    return '';
+  }
+  return count > 99 ? '99+' : String(count);
+}
+
+/**
+ * Update the toolbar badge from the conversation index
+ * Instagram DM thread tabs show that thread's unwatched count; every other tab shows the total.
+ * With notifications turned off in settings the badge stays empty.
+ */
+async function refreshBadges() {
+  try {
+    const { isEnabled } = await chrome.storage.local.get(['isEnabled']);
+    const settings = await getSettings();
+    const index = settings.notifications ? await getConversationIndex() : {};
+    const totalUnwatched = Object.values(index).reduce((total, entry) => total + entry.unwatchedCount, 0);
+    
+    await chrome.action.setBadgeBackgroundColor({
+      color: isEnabled ? BADGE_COLOR_ENABLED : BADGE_COLOR_DISABLED
+    });
+    await chrome.action.setBadgeText({ text: formatBadgeText(totalUnwatched) });
+    
+    const dmTabs = await chrome.tabs.query({ url: INSTAGRAM_DM_URL_PATTERN });
+    await Promise.all(dmTabs.map(tab => updateTabBadge(tab, index)));
+  } catch (error) {
+    log.storage.error('Error refreshing badges:', error);
+  }
+}
+
+/**
+ * Set a tab-specific badge for an Instagram DM thread tab
+ * @param {Object} tab - Tab to update
+ * @param {Object} index - Conversation index
+ */
+async function updateTabBadge(tab, index) {
+  const conversationId = getConversationIdFromUrl(tab.url);
+  if (!conversationId) {
+    // Null clears the tab-specific text so the tab falls back to the total
+    await chrome.action.setBadgeText({ tabId: tab.id, text: null });
+    return;
+  }
+  
+  const entry = index[conversationId];
+  await chrome.action.setBadgeText({
+    tabId: tab.id,
+    text: formatBadgeText(entry ? entry.unwatchedCount : 0)
+  });
+}
+
+/**
+ * Keep the badge current when the user switches tabs or threads
+ */
+chrome.tabs.onActivated.addListener(() => {
+  refreshBadges();
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url) {
+    refreshBadges();
+  }
+});
+
+/**
+ * Redraw the badge and apply log levels when tracking is switched on or off or
+ * the settings change, whether from the popup or the options page
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') {
+    return;
+  }
+  if (changes[SETTINGS_KEY]) {
+    configureLogger(normalizeSettings(changes[SETTINGS_KEY].newValue));
+  }
+  if (changes.isEnabled || changes[SETTINGS_KEY]) {
+    refreshBadges();
+  }
+});
+
+// The service worker restarts often, so read the log levels on every start
+getSettings()
+  .then(configureLogger)
+  .catch(error => log.lifecycle.warn('Could not load log settings:', error));
+
+/**
+ * Handle keyboard commands
+ * Tracking is toggled here; reel commands go to the active Instagram DM tab.
+ * Opening the reel list is the built-in _execute_action command.
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  try {
+    log.navigation.debug('Command:', command);
+    
+    if (command === 'toggle-tracking') {
+      await toggleTracking();
+      return;
+    }
+    
+    const shortcut = TAB_SHORTCUT_COMMANDS[command];
+    if (!shortcut) {
+      log.navigation.warn('Unknown command:', command);
+      return;
+    }
+    
+    const [activeTab] = tab ? [tab] : await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab || !(activeTab.url || '').startsWith('https://www.instagram.com/direct/')) {
+      log.navigation.debug('Command ignored outside Instagram DMs:', command);
+      return;
+    }
+    
+    const response = await chrome.tabs.sendMessage(activeTab.id, { action: 'runShortcut', command: shortcut });
+    if (response && !response.success) {
+      log.navigation.warn(`Command ${command} failed:`, response.error);
+    }
+  } catch (error) {
+    log.navigation.error('Error handling command:', error);
+  }
+});
+
 /**
  * Handle content script ready notification
  * @param {Object} sender - Message sender info
@@ -125,7 +386,7 @@ async function handleToggleEnabled(sendResponse) {
  */
 async function handleContentScriptReady(sender, sendResponse) {
   try {
-    console.log('[IG Reel Tracker] Content script ready on tab:', sender.tab.id);
+    log.lifecycle.debug('Content script ready on tab:', sender.tab.id);
     
     const { isEnabled } = await chrome.storage.local.get(['isEnabled']);
     sendResponse({ 
@@ -134,9 +395,9 @@ async function handleContentScriptReady(sender, sendResponse) {
       message: 'Service worker connected' 
     });
   } catch (error) {
-    console.error('[IG Reel Tracker] Error handling content script ready:', error);
+    log.lifecycle.error('Error handling content script ready:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
-console.log('[IG Reel Tracker] Service worker loaded successfully');
\ No newline at end of file
+log.lifecycle.info('Service worker loaded successfully');
\ No newline at end of file
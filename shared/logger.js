@@ -0,0 +1,153 @@
+/**
+ * IG Reel Tracker - Logger
+ * Level-controlled logging with per-subsystem namespaces, shared by the
+ * content script, service worker and options page
+ *
+ * Each script context keeps its own ring buffer of recent entries, which the
+ * options page collects with the `getLogs` message:
+ * {
+ *   time: number, // Date.now() when logged
+ *   level: string, // A LOG_LEVELS value
+ *   namespace: string, // A LOG_NAMESPACES value
+ *   message: string // Arguments flattened to text
+ * }
+ */
+
+// Log levels from least to most verbose
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+
+const LOG_NAMESPACES = {
+  LIFECYCLE: 'lifecycle',
+  DETECTION: 'detection',
+  STORAGE: 'storage',
+  NAVIGATION: 'navigation',
+  DIAGNOSTICS: 'diagnostics'
+};
+
+// Entries kept in memory per script context
+const LOG_BUFFER_SIZE = 500;
+
+// Longest text kept for a single logged value
+const MAX_LOG_VALUE_LENGTH = 500;
+
+// Console method for each level; debug and trace stay visible at the default console filter
+const LOG_CONSOLE_METHODS = {
+  error: 'error',
+  warn: 'warn',
+  info: 'log',
+  debug: 'log',
+  trace: 'log'
+};
+
+// Level in effect, replaced by configureLogger once settings are read
+let logConfig = { logLevel: 'info', logLevels: {} };
+
+const logBuffer = [];
+
+/**
+ * Apply the log levels from settings
+ * @param {Object} settings - Settings with logLevel and per-namespace logLevels
+ */
+function configureLogger(settings) {
+  logConfig = {
+    logLevel: settings.logLevel,
+    logLevels: { ...(settings.logLevels || {}) }
+  };
+}
+
+/**
+ * Check whether a namespace logs messages at a level
+ * @param {string} namespace - A LOG_NAMESPACES value
+ * @param {string} level - A LOG_LEVELS value
+ * @returns {boolean} True if the configured level includes this one
+ */
+function isLogEnabled(namespace, level) {
+  const threshold = logConfig.logLevels[namespace] || logConfig.logLevel;
+  return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(threshold);
+}
+
+/**
+ * Flatten a logged value to text for the ring buffer
+ * @param {*} value - Value passed to the logger
+ * @returns {string} Text form of the value
+ */
+function formatLogValue(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (value instanceof Error) {
+    return `${value.name}: ${value.message}`;
+  }
+  if (typeof Element !== 'undefined' && value instanceof Element) {
+    return `<${value.tagName.toLowerCase()}>`;
+  }
+
+  try {
+    const text = JSON.stringify(value, (key, nested) => {
+      return typeof Element !== 'undefined' && nested instanceof Element ? `<${nested.tagName.toLowerCase()}>` : nested;
+    });
+    return text === undefined ? String(value) : text.slice(0, MAX_LOG_VALUE_LENGTH);
+  } catch (error) {
+    return String(value);
+  }
+}
+
+/**
+ * Write an entry to the console and the ring buffer if its level is enabled
+ * @param {string} namespace - A LOG_NAMESPACES value
+ * @param {string} level - A LOG_LEVELS value
+ * @param {Array} args - Values to log
+ */
+function writeLog(namespace, level, args) {
+  if (!isLogEnabled(namespace, level)) {
+    return;
+  }
+
+  console[LOG_CONSOLE_METHODS[level]](`[IG Reel Tracker:${namespace}]`, ...args);
+
+  logBuffer.push({
+    time: Date.now(),
+    level: level,
+    namespace: namespace,
+    message: args.map(formatLogValue).join(' ')
+  });
+  if (logBuffer.length > LOG_BUFFER_SIZE) {
+    logBuffer.splice(0, logBuffer.length - LOG_BUFFER_SIZE);
+  }
+}
+
+/**
+ * Create a logger bound to a namespace
+ * @param {string} namespace - A LOG_NAMESPACES value
+ * @returns {Object} Logger with one method per level
+ */
+function createLogger(namespace) {
+  const logger = {};
+  LOG_LEVELS.forEach(level => {
+    logger[level] = (...args) => writeLog(namespace, level, args);
+  });
+  return logger;
+}
+
+/**
+ * Copy the entries in this context's ring buffer
+ * @returns {Array} Entries, oldest first
+ */
+function getLogEntries() {
+  return logBuffer.slice();
+}
+
+/**
+ * Format an entry as one line of text for copying
+ * @param {Object} entry - Ring buffer entry
+ * @returns {string} Line with time, level, namespace and message
+ */
+function formatLogEntry(entry) {
+  return `${new Date(entry.time).toISOString()} ${entry.level.toUpperCase()} [${entry.namespace}] ${entry.message}`;
+}
+
+// One logger per namespace, e.g. log.detection.debug(...)
+const log = {};
+Object.values(LOG_NAMESPACES).forEach(namespace => {
+  log[namespace] = createLogger(namespace);
+});
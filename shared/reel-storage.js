@@ -0,0 +1,610 @@
+/**
+ * IG Reel Tracker - Reel Storage
+ * Versioned storage layer shared by the content script and service worker
+ * Load after shared/logger.js.
+ *
+ * Schema v2: one record per conversation under `ig_reel_data_<conversationId>`
+ * {
+ *   version: 2,
+ *   conversationId: string,
+ *   reels: Array<ReelRecord>, // newest first, capped at settings.maxStoredReels
+ *   lastUpdated: number
+ * }
+ *
+ * Each reel keeps `timestamp` (when it was first detected) apart from `sentAt`
+ * (when the message was sent, as parsed from the page) and `sentAtConfidence`;
+ * ordering and the storage cap use the sent time.
+ *
+ * `reactions` lists one entry per emoji ({emoji, count, reactors, mine});
+ * `reactionHistory` records each change to that list as {changedAt, reactions};
+ * `reactionsObservedAt` is when the list was read from the page, and only a
+ * later read replaces it.
+ * `replies` holds the quoted replies linked to the reel
+ * ({replyId, legacyReplyId, text, direction, senderName, sentAt, sentAtConfidence}).
+ * replyId hashes the reply's content with its message ID or precise sent time;
+ * legacyReplyId is the older content-only ID, which merging drops.
+ *
+ * saveReelData and updateStoredReel read, change and write a whole record;
+ * calls for the same conversation in one script context run one at a time,
+ * through queueStorageWrite, which the service worker also uses for its index.
+ *
+ * v1 kept a global `detectedReels` array alongside the per-conversation
+ * records, plus an unused `trackedReels` array; migrateReelStorage folds
+ * both into the v2 records. A legacy reel without a conversationId is filed
+ * under the conversation whose record holds the same reel ID or reel URL
+ * shortcode. Neither the URL nor the DOM path names the thread, so reels that
+ * match no record cannot be attributed; they are kept under
+ * `ig_reel_data_unknown`; they count toward the overall totals, but no thread,
+ * tab badge or navigation will ever show them.
+ */
+
+const STORAGE_SCHEMA_VERSION = 2;
+const STORAGE_VERSION_KEY = 'storageSchemaVersion';
+const STORAGE_KEY_PREFIX = 'ig_reel_data_';
+const MAX_REELS_STORAGE = 1000; // Default for settings.maxStoredReels
+
+// Reaction changes kept per reel
+const MAX_REACTION_HISTORY = 20;
+
+// Conversation for legacy reels that can't be matched to a thread
+const UNKNOWN_CONVERSATION_ID = 'unknown';
+
+// Shortcode in a reel URL, used to match legacy reels to stored records
+const REEL_URL_SHORTCODE_PATTERN = /\/reels?\/([A-Za-z0-9_-]+)/;
+
+// Keys from schema v1 that the migration folds in and removes
+const LEGACY_STORAGE_KEYS = ['detectedReels', 'lastDetectionTime', 'trackedReels'];
+
+// Watch states a tracked reel can be in, in order of progress
+const WATCH_STATES = {
+  UNWATCHED: 'unwatched',
+  OPENED: 'opened',
+  WATCHED: 'watched'
+};
+
+const WATCH_STATE_RANK = {
+  [WATCH_STATES.UNWATCHED]: 0,
+  [WATCH_STATES.OPENED]: 1,
+  [WATCH_STATES.WATCHED]: 2
+};
+
+// Who sent a reel, relative to the current user
+const REEL_DIRECTIONS = {
+  SENT: 'sent',
+  RECEIVED: 'received',
+  UNKNOWN: 'unknown'
+};
+
+// How a reel's sent time was determined, from most to least reliable
+const TIMESTAMP_CONFIDENCE = {
+  EXACT: 'exact', // Machine-readable datetime attribute
+  HIGH: 'high', // Clock time with a known day
+  MEDIUM: 'medium', // Minute/hour relative time, or a date separator with a clock time
+  LOW: 'low', // Day-level relative time or a date without a clock time
+  NONE: 'none' // No time found; detection time is used instead
+};
+
+const TIMESTAMP_CONFIDENCE_RANK = {
+  [TIMESTAMP_CONFIDENCE.NONE]: 0,
+  [TIMESTAMP_CONFIDENCE.LOW]: 1,
+  [TIMESTAMP_CONFIDENCE.MEDIUM]: 2,
+  [TIMESTAMP_CONFIDENCE.HIGH]: 3,
+  [TIMESTAMP_CONFIDENCE.EXACT]: 4
+};
+
+/**
+ * Get the time a reel was sent, falling back to when it was detected
+ * @param {Object} reel - Reel record
+ * @returns {number} Sent time in milliseconds
+ */
+function getReelSentTime(reel) {
+  return reel.sentAt || reel.timestamp || 0;
+}
+
+/**
+ * Pick the sent time to keep when two observations of a reel disagree
+ * Only a more confident reading replaces the stored one
+ * @param {Object} existingReel - Previously stored reel
+ * @param {Object} newReel - Newly detected reel
+ * @returns {Object} The sentAt and sentAtConfidence to keep
+ */
+function mergeSentTime(existingReel, newReel) {
+  const existingRank = TIMESTAMP_CONFIDENCE_RANK[existingReel.sentAtConfidence] || 0;
+  const newRank = TIMESTAMP_CONFIDENCE_RANK[newReel.sentAtConfidence] || 0;
+  const preferred = newRank > existingRank || !existingReel.sentAt ? newReel : existingReel;
+
+  return {
+    sentAt: getReelSentTime(preferred),
+    sentAtConfidence: preferred.sentAtConfidence || TIMESTAMP_CONFIDENCE.NONE
+  };
+}
+
+/**
+ * Check whether a tracked reel still counts as unwatched
+ * Opened reels stay unwatched until they are marked watched
+ * @param {Object} reel - Tracked reel entry
+ * @returns {boolean} True if the reel has not been watched
+ */
+function isReelUnwatched(reel) {
+  return (reel.watchState || WATCH_STATES.UNWATCHED) !== WATCH_STATES.WATCHED;
+}
+
+/**
+ * Check whether the current user sent a reel themselves
+ * @param {Object} reel - Tracked reel entry
+ * @returns {boolean} True if the reel is outgoing
+ */
+function isOwnReel(reel) {
+  return reel.direction === REEL_DIRECTIONS.SENT;
+}
+
+/**
+ * Count the unwatched reels in a list
+ * @param {Array} reels - Reel records
+ * @returns {number} Number of unwatched reels
+ */
+function countUnwatchedReels(reels) {
+  return reels.filter(isReelUnwatched).length;
+}
+
+/**
+ * Build a stored reel record from any reel shape
+ * Accepts in-memory entries, v1 `detectedReels` items (`id`) and v2 records
+ * @param {Object} reel - Reel object to normalize
+ * @param {string} conversationId - Conversation the reel belongs to
+ * @returns {Object} Reel record in the current schema
+ */
+function normalizeReelRecord(reel, conversationId) {
+  const timestamp = reel.timestamp || Date.now();
+
+  return {
+    reelId: reel.reelId || reel.id,
+    idTier: reel.idTier || null,
+    conversationId: reel.conversationId || conversationId,
+    reelUrl: reel.reelUrl || null,
+    timestamp: timestamp,
+    sentAt: reel.sentAt || timestamp,
+    sentAtConfidence: reel.sentAtConfidence || TIMESTAMP_CONFIDENCE.NONE,
+    direction: reel.direction || REEL_DIRECTIONS.UNKNOWN,
+    senderName: reel.senderName || null,
+    senderUsername: reel.senderUsername || null,
+    caption: reel.caption || null,
+    authorHandle: reel.authorHandle || null,
+    thumbnailUrl: reel.thumbnailUrl || null,
+    durationSeconds: reel.durationSeconds || null,
+    hasReaction: Boolean(reel.hasReaction),
+    reactionType: reel.reactionType || null,
+    reactions: reel.reactions || [],
+    reactedByMe: Boolean(reel.reactedByMe),
+    reactionHistory: reel.reactionHistory || [],
+    reactionsObservedAt: reel.reactionsObservedAt || null,
+    replies: reel.replies || [],
+    repliedByMe: Boolean(reel.repliedByMe),
+    watchState: reel.watchState || WATCH_STATES.UNWATCHED,
+    watchedAt: reel.watchedAt || null,
+    watchedBy: reel.watchedBy || null,
+    messageId: reel.messageId || null,
+    domPath: reel.domPath || null,
+    selector: reel.selector || null,
+    extractionMethod: reel.extractionMethod || null,
+    lastUpdated: reel.lastUpdated || null
+  };
+}
+
+/**
+ * Pick the watch state to keep when a rescan meets a stored reel
+ * Detection never moves a reel backwards; manual changes go through updateStoredReel
+ * @param {Object} existingReel - Previously stored reel
+ * @param {Object} newReel - Newly detected reel
+ * @returns {Object} The watchState, watchedAt and watchedBy to keep
+ */
+function mergeWatchState(existingReel, newReel) {
+  const existingState = existingReel.watchState || WATCH_STATES.UNWATCHED;
+  const newState = newReel.watchState || WATCH_STATES.UNWATCHED;
+
+  if (WATCH_STATE_RANK[newState] > WATCH_STATE_RANK[existingState]) {
+    return {
+      watchState: newState,
+      watchedAt: newReel.watchedAt || null,
+      watchedBy: newReel.watchedBy || null
+    };
+  }
+
+  return {
+    watchState: existingState,
+    watchedAt: existingReel.watchedAt || null,
+    watchedBy: existingReel.watchedBy || null
+  };
+}
+
+/**
+ * Summarize a reaction list so two lists can be compared
+ * @param {Array} reactions - Reaction entries
+ * @returns {string} Order-independent signature
+ */
+function getReactionSignature(reactions) {
+  return (reactions || [])
+    .map(reaction => `${reaction.emoji}:${reaction.count}:${reaction.mine ? 1 : 0}`)
+    .sort()
+    .join('|');
+}
+
+/**
+ * Take the latest reactions for a reel, recording the change in its history
+ * Reactions read before the stored ones, e.g. by another tab or an earlier
+ * detection still held in memory, leave the stored reactions as they are
+ * @param {Object} existingReel - Previously stored reel
+ * @param {Object} newReel - Newly detected reel
+ * @returns {Object} Reaction fields to keep
+ */
+function mergeReactions(existingReel, newReel) {
+  const existingObservedAt = existingReel.reactionsObservedAt || null;
+  const newObservedAt = newReel.reactionsObservedAt || null;
+
+  if (existingObservedAt && !(newObservedAt > existingObservedAt)) {
+    return {
+      hasReaction: Boolean(existingReel.hasReaction),
+      reactionType: existingReel.reactionType || null,
+      reactions: existingReel.reactions || [],
+      reactedByMe: Boolean(existingReel.reactedByMe),
+      reactionHistory: existingReel.reactionHistory || [],
+      reactionsObservedAt: existingObservedAt
+    };
+  }
+
+  const newReactions = newReel.reactions || [];
+  const history = (existingReel.reactionHistory || []).slice();
+
+  if (getReactionSignature(existingReel.reactions) !== getReactionSignature(newReactions)) {
+    history.push({ changedAt: newObservedAt || Date.now(), reactions: newReactions });
+  }
+
+  return {
+    hasReaction: Boolean(newReel.hasReaction),
+    reactionType: newReel.reactionType || null,
+    reactions: newReactions,
+    reactedByMe: Boolean(newReel.reactedByMe),
+    reactionHistory: history.slice(-MAX_REACTION_HISTORY),
+    reactionsObservedAt: newObservedAt
+  };
+}
+
+/**
+ * Combine two reply lists, keeping one copy of each reply
+ * @param {Array} existingReplies - Previously known replies
+ * @param {Array} newReplies - Newly found replies
+ * @returns {Array} Replies, oldest first
+ */
+function mergeReplies(existingReplies, newReplies) {
+  const allReplies = [...(existingReplies || []), ...(newReplies || [])];
+  const replacedIds = new Set(allReplies.map(reply => reply.legacyReplyId).filter(Boolean));
+  const replies = new Map();
+  allReplies.forEach(reply => {
+    if (replacedIds.has(reply.replyId)) {
+      return;
+    }
+    replies.set(reply.replyId, { ...replies.get(reply.replyId), ...reply });
+  });
+
+  return Array.from(replies.values()).sort((a, b) => a.sentAt - b.sentAt);
+}
+
+/**
+ * Merge new reel data with existing stored data
+ * Throws if a record cannot be merged, so the caller skips the write
+ * @param {Array} existingReels - Previously stored reels
+ * @param {Array} newReels - Newly detected reels
+ * @returns {Array} Merged reel array
+ */
+function mergeReelData(existingReels, newReels) {
+  try {
+    // Create a Map of existing reels by reelId for fast lookups
+    const existingReelsMap = new Map();
+    existingReels.forEach(reel => {
+      existingReelsMap.set(reel.reelId, reel);
+    });
+
+    // Add new reels, updating existing ones if found
+    newReels.forEach(newReel => {
+      const existingReel = existingReelsMap.get(newReel.reelId);
+      if (existingReel) {
+        // Update existing reel with new reaction data if available
+        Object.assign(existingReel, mergeReactions(existingReel, newReel));
+        Object.assign(existingReel, mergeWatchState(existingReel, newReel));
+        Object.assign(existingReel, mergeSentTime(existingReel, newReel));
+        if (newReel.direction && newReel.direction !== REEL_DIRECTIONS.UNKNOWN) {
+          existingReel.direction = newReel.direction;
+        }
+        existingReel.senderName = newReel.senderName || existingReel.senderName;
+        existingReel.senderUsername = newReel.senderUsername || existingReel.senderUsername;
+        existingReel.caption = newReel.caption || existingReel.caption;
+        existingReel.authorHandle = newReel.authorHandle || existingReel.authorHandle;
+        existingReel.thumbnailUrl = newReel.thumbnailUrl || existingReel.thumbnailUrl;
+        existingReel.durationSeconds = newReel.durationSeconds || existingReel.durationSeconds;
+        existingReel.replies = mergeReplies(existingReel.replies, newReel.replies);
+        existingReel.repliedByMe = Boolean(existingReel.repliedByMe || newReel.repliedByMe);
+        existingReel.idTier = existingReel.idTier || newReel.idTier;
+        existingReel.reelUrl = existingReel.reelUrl || newReel.reelUrl;
+        existingReel.messageId = newReel.messageId || existingReel.messageId;
+        existingReel.domPath = newReel.domPath || existingReel.domPath;
+        existingReel.lastUpdated = newReel.timestamp;
+      } else {
+        // Add new reel, starting its reaction history
+        existingReelsMap.set(newReel.reelId, { ...newReel, ...mergeReactions({}, newReel) });
+      }
+    });
+
+    // Convert back to array and sort by sent time (newest first)
+    return Array.from(existingReelsMap.values())
+      .sort((a, b) => getReelSentTime(b) - getReelSentTime(a));
+
+  } catch (error) {
+    // The result replaces the whole stored record, so a partial merge must not be written
+    log.storage.error('Error merging reel data:', error);
+    throw error;
+  }
+}
+
+/**
+ * Limit reel storage to prevent overflow
+ * @param {Array} reels - Array of reel objects
+ * @param {number} maxReels - Most reels to keep, from settings.maxStoredReels
+ * @returns {Array} Limited reel array
+ */
+function limitReelStorage(reels, maxReels = MAX_REELS_STORAGE) {
+  try {
+    if (reels.length <= maxReels) {
+      return reels;
+    }
+
+    log.storage.debug(`Limiting storage from ${reels.length} to ${maxReels} reels`);
+
+    // Keep only the most recently sent reels
+    return reels
+      .sort((a, b) => getReelSentTime(b) - getReelSentTime(a))
+      .slice(0, maxReels);
+
+  } catch (error) {
+    log.storage.error('Error limiting reel storage:', error);
+    return reels.slice(0, maxReels); // Fallback to simple slice
+  }
+}
+
+// Tail of the pending read-modify-write chain for each storage key in this script context
+const storageWriteQueues = new Map();
+
+/**
+ * Run a read-modify-write of a storage key once earlier ones in this script context finish
+ * Without this, two updates can both read the value before either writes,
+ * and the second write drops the first one's changes
+ * @param {string} key - Storage key the task reads and writes
+ * @param {Function} task - Async function that reads, changes and writes the value
+ * @returns {Promise<*>} Result of the task
+ */
+function queueStorageWrite(key, task) {
+  const previous = storageWriteQueues.get(key) || Promise.resolve();
+  // A failed earlier write must not block later ones
+  const next = previous.catch(() => {}).then(task);
+  storageWriteQueues.set(key, next);
+
+  next.catch(() => {}).then(() => {
+    if (storageWriteQueues.get(key) === next) {
+      storageWriteQueues.delete(key);
+    }
+  });
+  return next;
+}
+
+/**
+ * Get stored reel data for a conversation
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object>} Stored conversation record
+ */
+async function getStoredReelData(conversationId) {
+  const emptyRecord = { version: STORAGE_SCHEMA_VERSION, conversationId, reels: [], lastUpdated: null };
+
+  try {
+    const storageKey = STORAGE_KEY_PREFIX + conversationId;
+    const result = await chrome.storage.local.get([storageKey]);
+    return result[storageKey] || emptyRecord;
+  } catch (error) {
+    log.storage.warn('Error getting stored reel data:', error);
+    return emptyRecord;
+  }
+}
+
+/**
+ * Write a conversation record in the current schema
+ * @param {string} conversationId - The conversation ID
+ * @param {Array} reels - Complete list of reel records for the conversation
+ * @returns {Promise<Object>} The record that was written
+ */
+async function writeStoredReelData(conversationId, reels) {
+  const record = {
+    version: STORAGE_SCHEMA_VERSION,
+    conversationId: conversationId,
+    reels: reels,
+    lastUpdated: Date.now()
+  };
+
+  await chrome.storage.local.set({ [STORAGE_KEY_PREFIX + conversationId]: record });
+  return record;
+}
+
+/**
+ * Merge detected reels into a conversation's stored record
+ * @param {string} conversationId - The conversation ID
+ * @param {Array} reels - Detected reels in any supported shape
+ * @param {number} maxReels - Most reels to keep, from settings.maxStoredReels
+ * @returns {Promise<Object>} The record that was written
+ */
+function saveReelData(conversationId, reels, maxReels = MAX_REELS_STORAGE) {
+  const newReels = reels.map(reel => normalizeReelRecord(reel, conversationId));
+
+  return queueStorageWrite(STORAGE_KEY_PREFIX + conversationId, async () => {
+    const existingData = await getStoredReelData(conversationId);
+    const mergedReels = mergeReelData(existingData.reels || [], newReels);
+    return writeStoredReelData(conversationId, limitReelStorage(mergedReels, maxReels));
+  });
+}
+
+/**
+ * Apply changes to a single stored reel
+ * Used for manual edits that must be able to move a reel backwards
+ * @param {string} conversationId - The conversation ID
+ * @param {string} reelId - The reel ID
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<Object|null>} The updated reel or null if it is not stored
+ */
+function updateStoredReel(conversationId, reelId, changes) {
+  return queueStorageWrite(STORAGE_KEY_PREFIX + conversationId, async () => {
+    const storedData = await getStoredReelData(conversationId);
+    const storedReel = (storedData.reels || []).find(reel => reel.reelId === reelId);
+
+    if (!storedReel) {
+      return null;
+    }
+
+    Object.assign(storedReel, changes);
+    await writeStoredReelData(conversationId, storedData.reels);
+    return storedReel;
+  });
+}
+
+/**
+ * Read every stored conversation record
+ * @returns {Promise<Array>} Conversation records
+ */
+async function getAllStoredConversations() {
+  const everything = await chrome.storage.local.get(null);
+  return Object.keys(everything)
+    .filter(key => key.startsWith(STORAGE_KEY_PREFIX))
+    .map(key => everything[key]);
+}
+
+/**
+ * Combine two copies of the same reel during migration
+ * Keeps a reaction if either copy saw one
+ * @param {Object} first - One copy of the reel
+ * @param {Object} second - Another copy of the reel
+ * @returns {Object} Combined reel record
+ */
+function combineLegacyReels(first, second) {
+  return {
+    ...first,
+    ...mergeWatchState(first, second),
+    ...mergeSentTime(first, second),
+    idTier: first.idTier || second.idTier,
+    direction: first.direction && first.direction !== REEL_DIRECTIONS.UNKNOWN ? first.direction : second.direction,
+    senderName: first.senderName || second.senderName,
+    senderUsername: first.senderUsername || second.senderUsername,
+    caption: first.caption || second.caption,
+    authorHandle: first.authorHandle || second.authorHandle,
+    thumbnailUrl: first.thumbnailUrl || second.thumbnailUrl,
+    durationSeconds: first.durationSeconds || second.durationSeconds,
+    reelUrl: first.reelUrl || second.reelUrl,
+    messageId: first.messageId || second.messageId,
+    domPath: first.domPath || second.domPath,
+    hasReaction: first.hasReaction || second.hasReaction,
+    reactionType: first.reactionType || second.reactionType,
+    reactions: first.reactions.length > 0 ? first.reactions : second.reactions,
+    reactedByMe: first.reactedByMe || second.reactedByMe,
+    reactionHistory: first.reactionHistory.length > 0 ? first.reactionHistory : second.reactionHistory,
+    reactionsObservedAt: first.reactions.length > 0 ? first.reactionsObservedAt : second.reactionsObservedAt,
+    replies: mergeReplies(first.replies, second.replies),
+    repliedByMe: first.repliedByMe || second.repliedByMe,
+    timestamp: Math.min(first.timestamp, second.timestamp)
+  };
+}
+
+/**
+ * One-time migration of older storage layouts into the current schema
+ * Safe to call repeatedly; it does nothing once the schema is current
+ * @returns {Promise<boolean>} True if a migration ran
+ */
+async function migrateReelStorage() {
+  try {
+    // Reading the version alone keeps the common case from loading every record
+    const versionResult = await chrome.storage.local.get([STORAGE_VERSION_KEY]);
+    if (versionResult[STORAGE_VERSION_KEY] >= STORAGE_SCHEMA_VERSION) {
+      return false;
+    }
+
+    const everything = await chrome.storage.local.get(null);
+
+    log.storage.info(`Migrating reel storage to schema v${STORAGE_SCHEMA_VERSION}...`);
+
+    // Collect every known copy of each reel, grouped by conversation
+    const conversations = new Map();
+    const addReel = (reel, conversationId) => {
+      const record = normalizeReelRecord(reel, conversationId);
+      if (!record.reelId) {
+        return;
+      }
+
+      if (!conversations.has(record.conversationId)) {
+        conversations.set(record.conversationId, new Map());
+      }
+      const reels = conversations.get(record.conversationId);
+      const existing = reels.get(record.reelId);
+      reels.set(record.reelId, existing ? combineLegacyReels(existing, record) : record);
+    };
+
+    Object.keys(everything)
+      .filter(key => key.startsWith(STORAGE_KEY_PREFIX))
+      .forEach(key => {
+        const conversationId = key.slice(STORAGE_KEY_PREFIX.length);
+        (everything[key].reels || []).forEach(reel => addReel(reel, conversationId));
+      });
+
+    // Reel ID → conversation, from the per-conversation records read so far
+    const reelConversations = new Map();
+    conversations.forEach((reels, conversationId) => {
+      reels.forEach((reel, reelId) => reelConversations.set(reelId, conversationId));
+    });
+
+    let unattributed = 0;
+    ['detectedReels', 'trackedReels'].forEach(key => {
+      (everything[key] || []).forEach(reel => {
+        if (reel.conversationId || reelConversations.has(reel.reelId || reel.id)) {
+          addReel(reel, reel.conversationId || reelConversations.get(reel.reelId || reel.id));
+          return;
+        }
+
+        // A legacy ID from an older scheme can still carry the reel's URL; file it under the shortcode
+        const urlMatch = (reel.reelUrl || '').match(REEL_URL_SHORTCODE_PATTERN);
+        if (urlMatch && reelConversations.has(urlMatch[1])) {
+          addReel({ ...reel, reelId: urlMatch[1] }, reelConversations.get(urlMatch[1]));
+          return;
+        }
+
+        unattributed++;
+        addReel(reel, UNKNOWN_CONVERSATION_ID);
+      });
+    });
+    if (unattributed > 0) {
+      log.storage.warn(`${unattributed} legacy reels could not be matched to a conversation`);
+    }
+
+    const migrated = {};
+    conversations.forEach((reels, conversationId) => {
+      migrated[STORAGE_KEY_PREFIX + conversationId] = {
+        version: STORAGE_SCHEMA_VERSION,
+        conversationId: conversationId,
+        reels: limitReelStorage(Array.from(reels.values()).sort((a, b) => getReelSentTime(b) - getReelSentTime(a))),
+        lastUpdated: Date.now()
+      };
+    });
+    migrated[STORAGE_VERSION_KEY] = STORAGE_SCHEMA_VERSION;
+
+    await chrome.storage.local.set(migrated);
+    await chrome.storage.local.remove(LEGACY_STORAGE_KEYS);
+
+    log.storage.info(`Storage migration complete: ${conversations.size} conversations`);
+    return true;
+
+  } catch (error) {
+    log.storage.error('Error migrating reel storage:', error);
+    return false;
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * IG Reel Tracker - Selector Registry
+ * CSS selectors used to find DM markup, shared by the content script,
+ * service worker and options page. Load after shared/logger.js.
+ *
+ * Stored under `selectorRegistry`:
+ * {
+ *   defaultsVersion: number, // SELECTOR_DEFAULTS_VERSION of the stored defaults
+ *   defaults: { [group]: Array<string> }, // Shipped with the extension
+ *   overrides: { [group]: Array<string> }, // User selectors, tried before the defaults
+ *   disabled: { [group]: Array<string> } // Defaults the user switched off
+ * }
+ *
+ * Bump SELECTOR_DEFAULTS_VERSION whenever DEFAULT_SELECTORS changes; stored
+ * defaults are replaced on the next read while overrides are kept.
+ */
+
+const SELECTOR_REGISTRY_KEY = 'selectorRegistry';
+const SELECTOR_DEFAULTS_VERSION = 1;
+
+// Selector groups, each tried in order until one matches
+const SELECTOR_GROUPS = {
+  MESSAGES_CONTAINER: 'messagesContainer',
+  REELS: 'reels'
+};
+
+const DEFAULT_SELECTORS = {
+  [SELECTOR_GROUPS.MESSAGES_CONTAINER]: [
+    // Instagram's primary message container patterns
+    'div[role="grid"]', // Most common for message lists
+    'section div[role="grid"]',
+    '[data-testid="conversation-viewer"]',
+    '[role="main"] div[role="grid"]',
+
+    // Scrollable message containers
+    'div[style*="overflow"] div[role="row"]:first-child',
+    'div[style*="scroll"] div[role="row"]:first-child',
+
+    // Fallback selectors
+    'div[role="row"]:first-child',
+    '.conversation-viewer',
+    '[class*="message"][class*="container"]'
+  ],
+  [SELECTOR_GROUPS.REELS]: [
+    // Links to reels within messages
+    'a[href*="/reel/"]',
+    'a[href*="/reels/"]',
+    'a[href*="instagram.com/reel"]',
+
+    // Video elements within message bubbles
+    'div[role="row"] video',
+    'div[role="button"]:has(video)',
+    '[role="button"] video',
+    'div[role="listitem"] video',
+
+    // Message containers with video content
+    'div[style*="aspect-ratio"] video',
+    'div[class*="video"] a[href*="reel"]',
+    '[data-testid*="reel"]',
+
+    // Instagram-specific video patterns within messages
+    'video[src*="instagram"]',
+    'video[src*="cdninstagram"]',
+    'video[poster*="instagram"]',
+    'img[src*="reel"]'
+  ]
+};
+
+// Human-readable names for the options page
+const SELECTOR_GROUP_LABELS = {
+  [SELECTOR_GROUPS.MESSAGES_CONTAINER]: 'Messages container',
+  [SELECTOR_GROUPS.REELS]: 'Reel messages'
+};
+
+/**
+ * Bring a stored registry up to date with the shipped defaults
+ * Keeps user overrides and drops disabled entries that are no longer defaults
+ * @param {Object|null} stored - Registry read from storage
+ * @returns {Object} Registry in the current shape
+ */
+function buildSelectorRegistry(stored) {
+  const registry = {
+    defaultsVersion: SELECTOR_DEFAULTS_VERSION,
+    defaults: {},
+    overrides: {},
+    disabled: {}
+  };
+
+  Object.values(SELECTOR_GROUPS).forEach(group => {
+    const defaults = DEFAULT_SELECTORS[group];
+    registry.defaults[group] = defaults.slice();
+    registry.overrides[group] = ((stored && stored.overrides && stored.overrides[group]) || []).slice();
+    registry.disabled[group] = ((stored && stored.disabled && stored.disabled[group]) || [])
+      .filter(selector => defaults.includes(selector));
+  });
+
+  return registry;
+}
+
+/**
+ * Read the selector registry, upgrading the stored defaults if they are outdated
+ * @returns {Promise<Object>} Current registry
+ */
+async function getSelectorRegistry() {
+  try {
+    const result = await chrome.storage.local.get([SELECTOR_REGISTRY_KEY]);
+    const stored = result[SELECTOR_REGISTRY_KEY];
+    const registry = buildSelectorRegistry(stored);
+
+    if (!stored || stored.defaultsVersion !== SELECTOR_DEFAULTS_VERSION) {
+      log.detection.info(`Updating selector defaults to v${SELECTOR_DEFAULTS_VERSION}`);
+      await chrome.storage.local.set({ [SELECTOR_REGISTRY_KEY]: registry });
+    }
+
+    return registry;
+  } catch (error) {
+    log.detection.warn('Could not read selector registry, using defaults:', error);
+    return buildSelectorRegistry(null);
+  }
+}
+
+/**
+ * Write the user's overrides and disabled defaults
+ * @param {Object} overrides - User selectors by group
+ * @param {Object} disabled - Switched-off defaults by group
+ * @returns {Promise<Object>} The registry that was written
+ */
+async function saveSelectorRegistry(overrides, disabled) {
+  const registry = buildSelectorRegistry({ overrides, disabled });
+  await chrome.storage.local.set({ [SELECTOR_REGISTRY_KEY]: registry });
+  return registry;
+}
+
+/**
+ * List the selectors to try for a group: overrides first, then enabled defaults
+ * @param {Object} registry - Selector registry
+ * @param {string} group - A SELECTOR_GROUPS value
+ * @returns {Array} Selectors in the order to try them
+ */
+function getEffectiveSelectors(registry, group) {
+  const disabled = registry.disabled[group] || [];
+  const selectors = [
+    ...(registry.overrides[group] || []),
+    ...(registry.defaults[group] || []).filter(selector => !disabled.includes(selector))
+  ];
+  return Array.from(new Set(selectors));
+}
+
+/**
+ * Check that a string is a valid CSS selector
+ * @param {string} selector - Selector to check
+ * @returns {boolean} True if the browser accepts the selector
+ */
+function isValidSelector(selector) {
+  if (!selector || typeof selector !== 'string') {
+    return false;
+  }
+
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Put a working selector at the front of a group's overrides
+ * @param {string} group - A SELECTOR_GROUPS value
+ * @param {string} selector - Selector to promote
+ * @returns {Promise<Object>} The updated registry
+ */
+async function promoteSelector(group, selector) {
+  if (!DEFAULT_SELECTORS[group]) {
+    throw new Error(`Unknown selector group: ${group}`);
+  }
+  if (!isValidSelector(selector)) {
+    throw new Error(`Invalid selector: ${selector}`);
+  }
+
+  const registry = await getSelectorRegistry();
+  const overrides = { ...registry.overrides };
+  overrides[group] = [selector, ...overrides[group].filter(existing => existing !== selector)];
+
+  log.diagnostics.info(`Promoted selector for ${group}: ${selector}`);
+  return saveSelectorRegistry(overrides, registry.disabled);
+}
+
+// Diagnostics log of reel selectors that stopped matching
+const SELECTOR_DRIFT_KEY = 'selectorDriftEvents';
+const MAX_SELECTOR_DRIFT_EVENTS = 50;
+
+/**
+ * Record that the reel selectors stopped matching and what replaced them
+ * @param {Object} event - Drift details: conversation, candidate selector and its score
+ * @returns {Promise<void>}
+ */
+async function recordSelectorDrift(event) {
+  try {
+    const events = await getSelectorDriftEvents();
+    events.push(event);
+    await chrome.storage.local.set({ [SELECTOR_DRIFT_KEY]: events.slice(-MAX_SELECTOR_DRIFT_EVENTS) });
+  } catch (error) {
+    log.diagnostics.warn('Could not record selector drift:', error);
+  }
+}
+
+/**
+ * Read the recorded selector drift events
+ * @returns {Promise<Array>} Drift events, oldest first
+ */
+async function getSelectorDriftEvents() {
+  const result = await chrome.storage.local.get([SELECTOR_DRIFT_KEY]);
+  return result[SELECTOR_DRIFT_KEY] || [];
+}
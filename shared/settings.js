@@ -0,0 +1,136 @@
+/**
+ * IG Reel Tracker - Settings
+ * Defaults and validation for the `settings` object in chrome.storage.local,
+ * shared by the content script, service worker and options page
+ *
+ * Load after shared/logger.js and shared/reel-storage.js, which define
+ * LOG_LEVELS and MAX_REELS_STORAGE.
+ */
+
+const SETTINGS_KEY = 'settings';
+
+const DEFAULT_SETTINGS = {
+  autoInit: true,
+  autoMark: false,
+  autoMarkRules: {
+    opened: true,
+    dwell: true,
+    reaction: true,
+    reply: true
+  },
+  autoMarkDwellTime: 3000,
+  notifications: true, // Unwatched count on the toolbar badge
+  inPageShortcuts: true, // j/k/w keys on the DM page
+  showNavigator: true, // Floating reel navigator on the DM page
+  maxStoredReels: MAX_REELS_STORAGE, // Per conversation
+  storageDebounceDelay: 1000,
+  logLevel: 'info',
+  logLevels: {} // Per-namespace levels that override logLevel
+};
+
+// Allowed ranges for the numeric settings
+const SETTING_LIMITS = {
+  autoMarkDwellTime: { min: 500, max: 60000, label: 'In-view time' },
+  maxStoredReels: { min: 50, max: 5000, label: 'Reels kept per conversation' },
+  storageDebounceDelay: { min: 100, max: 10000, label: 'Save delay' }
+};
+
+/**
+ * Check a numeric setting against its allowed range
+ * @param {string} name - A SETTING_LIMITS key
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a whole number within range
+ */
+function isSettingInRange(name, value) {
+  const limits = SETTING_LIMITS[name];
+  return Number.isInteger(value) && value >= limits.min && value <= limits.max;
+}
+
+/**
+ * Fill in missing settings fields with their defaults
+ * Values that are out of range or of the wrong type fall back to the default too
+ * @param {Object} storedSettings - Settings object from storage
+ * @returns {Object} Complete settings object
+ */
+function normalizeSettings(storedSettings) {
+  const settings = {
+    ...DEFAULT_SETTINGS,
+    ...(storedSettings || {}),
+    autoMarkRules: {
+      ...DEFAULT_SETTINGS.autoMarkRules,
+      ...((storedSettings && storedSettings.autoMarkRules) || {})
+    }
+  };
+
+  Object.keys(SETTING_LIMITS).forEach(name => {
+    if (!isSettingInRange(name, settings[name])) {
+      settings[name] = DEFAULT_SETTINGS[name];
+    }
+  });
+
+  if (!LOG_LEVELS.includes(settings.logLevel)) {
+    settings.logLevel = DEFAULT_SETTINGS.logLevel;
+  }
+
+  settings.logLevels = {};
+  Object.values(LOG_NAMESPACES).forEach(namespace => {
+    const level = storedSettings && storedSettings.logLevels && storedSettings.logLevels[namespace];
+    if (LOG_LEVELS.includes(level)) {
+      settings.logLevels[namespace] = level;
+    }
+  });
+
+  return settings;
+}
+
+/**
+ * List what is wrong with a settings object
+ * @param {Object} settings - Settings to check
+ * @returns {Array<string>} Problems, empty when the settings are valid
+ */
+function validateSettings(settings) {
+  const problems = [];
+
+  Object.entries(SETTING_LIMITS).forEach(([name, limits]) => {
+    if (!isSettingInRange(name, settings[name])) {
+      problems.push(`${limits.label} must be a whole number from ${limits.min} to ${limits.max}`);
+    }
+  });
+
+  if (!LOG_LEVELS.includes(settings.logLevel)) {
+    problems.push(`Log level must be one of: ${LOG_LEVELS.join(', ')}`);
+  }
+
+  Object.entries(settings.logLevels || {}).forEach(([namespace, level]) => {
+    if (!Object.values(LOG_NAMESPACES).includes(namespace) || !LOG_LEVELS.includes(level)) {
+      problems.push(`Unknown log level "${level}" for ${namespace}`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Read the settings from storage
+ * @returns {Promise<Object>} Complete settings object
+ */
+async function getSettings() {
+  const result = await chrome.storage.local.get([SETTINGS_KEY]);
+  return normalizeSettings(result[SETTINGS_KEY]);
+}
+
+/**
+ * Validate and write the settings
+ * @param {Object} settings - Settings to save
+ * @returns {Promise<Object>} The settings that were written
+ */
+async function saveSettings(settings) {
+  const problems = validateSettings(settings);
+  if (problems.length > 0) {
+    throw new Error(problems.join('\n'));
+  }
+
+  const normalized = normalizeSettings(settings);
+  await chrome.storage.local.set({ [SETTINGS_KEY]: normalized });
+  return normalized;
+}